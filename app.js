@@ -2,23 +2,75 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
-import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
 import { SSAOPass } from 'three/addons/postprocessing/SSAOPass.js';
 import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { loadManifest, findManifestSource } from './src/manifest.js';
+import { LocalAsset, collectDroppedFiles, collectPickedFiles } from './src/local-files.js';
+import { EnvironmentManager, BACKGROUND_MODES } from './src/environment.js';
+import { MaterialInspector, TEXTURE_SLOTS } from './src/material-inspector.js';
+import { AnnotationManager } from './src/annotations.js';
+import { downloadBlob } from './src/download.js';
+import { ZipWriter } from './src/zip.js';
+import { encodeState, decodeState } from './src/url-state.js';
+import { RenderExporter, EXPORT_RESOLUTIONS } from './src/exporter.js';
+import { MeasureTool, formatLength } from './src/measure.js';
+import { ClippingManager, hideDuringPass } from './src/clipping.js';
+import { QualityGovernor, QUALITY_MODES, getTier } from './src/quality.js';
+import { ModelCache } from './src/model-cache.js';
+import { CompareView } from './src/compare.js';
+import { CameraTour, TourPlayer } from './src/camera-tour.js';
+import { XRManager } from './src/xr.js';
+import { SHORTCUTS, findShortcut, findOrbitStep, orbitCamera } from './src/keyboard.js';
+import { VariantSet, ORIGINAL_VARIANT } from './src/variants.js';
+import { LightingRig } from './src/lighting.js';
+import { LIGHTING_PRESETS, DEFAULT_LIGHTING, LIGHT_TYPES } from './src/lighting-presets.js';
+import { SettingsStore } from './src/settings.js';
+import { AnimationPlayer, findAnimatedNodes } from './src/animation.js';
+import { PassTimer, FrameGraph, estimateTextureMemory, describeMeshes, formatBytes } from './src/diagnostics.js';
+import { DebugViews, VIEW_MODES, fixColorSpaces, findAssetIssues } from './src/debug-views.js';
+
+// Models above this start at the cheapest quality tier
+const HIGH_POLY_TRIANGLES = 200000;
+
+// Setting (see src/settings.js) -> the panel control that shows and edits it
+const SETTING_CONTROLS = {
+    exposure: 'exposure',
+    lightIntensity: 'light-intensity',
+    lightRotation: 'light-rotation',
+    environment: 'environment-select',
+    environmentRotation: 'env-rotation',
+    environmentIntensity: 'env-intensity',
+    background: 'background-mode',
+    ssao: 'toggle-ssao',
+    bloom: 'toggle-bloom',
+    shadows: 'toggle-shadows',
+    autorotate: 'toggle-autorotate'
+};
 
 /**
  * 🎨 PHOTOREALISTIC 3D GALLERY VIEWER
  * Multi-model support with dynamic scene configuration
  * PBR materials, HDRI lighting, advanced post-processing
+ *
+ * Runs inside a <gallery-viewer> element (src/gallery-viewer.js): `root` is
+ * its shadow root, where every id below is looked up, and `host` is the
+ * element, which gets the viewer's events. `ready` settles once the first
+ * model is on screen.
  */
 
-class PhotorealisticViewer {
-    constructor() {
+export class PhotorealisticViewer {
+    constructor(options = {}) {
+        // Where the viewer lives
+        this.root = options.root || document;
+        this.host = options.host || null;
+        this.resizeObserver = null;
+
         // Core components
-        this.container = document.getElementById('canvas-container');
+        this.container = this.root.getElementById('canvas-container');
         this.scene = null;
         this.camera = null;
         this.renderer = null;
@@ -27,11 +79,40 @@ class PhotorealisticViewer {
 
         // Assets
         this.model = null;
-        this.material = null;
-        this.currentModelKey = 'marble'; // default model
+        this.materialInspector = null;
+        this.annotations = null;
+        this.measureTool = null;
+        this.clipping = null;
+        this.modelKey = null; // key of the model on screen
+        this.modelIsPreview = false;
+        this.modelLoadToken = 0;
+        this.modelCache = new ModelCache({
+            capacity: options.modelCacheSize ?? 3,
+            onEvict: ({ model, variants }) => {
+                if (variants) variants.dispose();
+                this.disposeObject(model);
+            }
+        });
+
+        // Loaders, shared by every model (see setupLoaders)
+        this.gltfLoader = null;
+        this.dracoLoader = null;
+        this.ktx2Loader = null;
+        this.metersPerSceneUnit = 1; // real-world scale after fit-to-stage scaling
+        this.variants = null; // VariantSet of the model on screen (none for previews)
+        this.animations = []; // its glTF animation clips
+        this.debugViews = new DebugViews(); // asset QA views of the model on screen
+        this.currentModelKey = null; // manifest.defaultModel unless overridden
+
+        // Asset locations (CDN or local copy, see src/asset-config.js)
+        this.assets = options.assets || window.GALLERY_ASSETS;
 
         // Lighting
-        this.lights = {};
+        this.lighting = null; // LightingRig (see setupLights)
+        this.lightingPresets = {}; // built-in presets plus the manifest's own
+        this.modelLighting = null; // preset the current model asked for
+        this.environment = null;
+        this.environmentLoad = null; // promise of the latest environment switch
         this.envMap = null;
         this.platform = null;
         this.shadowCatcher = null;
@@ -41,130 +122,173 @@ class PhotorealisticViewer {
         this.ssaoPass = null;
 
         // State
-        this.quality = 'medium'; // Changed from ultra for better performance
-        this.stats = { fps: 0, triangles: 0, lastTime: performance.now(), frames: 0 };
-        this.useDirectRendering = false; // Flag for high-poly direct rendering bypass
-
-        // Model configurations
-        this.modelConfigs = {
-            marble: {
-                path: './marble_bust_01_8k.gltf/marble_bust_01_8k.gltf',
-                title: 'Marble Bust',
-                scale: 2,
-                position: [0, 0, 0],
-                cameraPresets: {
-                    front: { position: [0, 1.5, 3], target: [0, 1.2, 0] },
-                    side: { position: [3, 1.3, 0.5], target: [0, 1.2, 0] },
-                    top: { position: [0, 4, 0.5], target: [0, 1, 0] },
-                    closeup: { position: [0, 1.6, 1.2], target: [0, 1.5, 0] }
-                },
-                material: {
-                    roughness: 0.65,
-                    metalness: 0.0,
-                    envMapIntensity: 0.9
-                },
-                platformSize: 1.5
-            },
-            sneaker: {
-                path: './new_balance_draco.glb', // Compressed
-                title: 'New Balance 574',
-                scale: 0.25,
-                position: [0, 0.08, 0],
-                cameraPresets: {
-                    front: { position: [0, 0.15, 0.4], target: [0, 0.1, 0] },
-                    side: { position: [0.4, 0.12, 0.05], target: [0, 0.1, 0] },
-                    top: { position: [0, 0.5, 0.05], target: [0, 0.1, 0] },
-                    closeup: { position: [0.15, 0.12, 0.2], target: [0, 0.1, 0] }
-                },
-                material: {
-                    roughness: 0.5,
-                    metalness: 0.0,
-                    envMapIntensity: 1.0
-                },
-                platformSize: 0.4
-            },
-            carpet: {
-                path: './carpet_draco.glb', // Compressed
-                title: 'Persian Carpet',
-                scale: 8.0,
-                position: [0, 0.01, 0],
-                cameraPresets: {
-                    front: { position: [0, 4, 4], target: [0, 0, 0] },
-                    side: { position: [4, 3, 2], target: [0, 0, 0] },
-                    top: { position: [0, 8, 0.1], target: [0, 0, 0] },
-                    closeup: { position: [1, 2, 1], target: [0, 0, 0] }
-                },
-                material: {
-                    roughness: 0.7,
-                    metalness: 0.0,
-                    envMapIntensity: 0.6
-                },
-                platformSize: 2.0
-            },
-            armchair: {
-                path: './armchair_draco.glb', // Compressed
-                title: 'Kubrick Armchair',
-                scale: 2.0, // Standard furniture scale (like marble bust)
-                position: [0, 0, 0], // Sit directly on platform (ground level)
-                cameraPresets: {
-                    front: { position: [0, 1.0, 3], target: [0, 0.5, 0] },
-                    side: { position: [3, 1.0, 1], target: [0, 0.5, 0] },
-                    top: { position: [0, 4, 0.1], target: [0, 0, 0] },
-                    closeup: { position: [1, 0.8, 1.5], target: [0, 0.5, 0] }
-                },
-                material: {
-                    roughness: 0.8,
-                    metalness: 0.0,
-                    envMapIntensity: 0.8
-                },
-                platformSize: 1.5
-            },
-            rocking: {
-                path: './rocking_draco.glb', // Compressed
-                title: 'Kolton Rocking Chair',
-                scale: 3.5, // Increased from 2.5
-                position: [0, 0, 0],
-                cameraPresets: {
-                    front: { position: [0, 1.0, 3], target: [0, 0.5, 0] },
-                    side: { position: [3, 1.0, 1], target: [0, 0.5, 0] },
-                    top: { position: [0, 4, 0.1], target: [0, 0, 0] },
-                    closeup: { position: [1, 0.8, 1.5], target: [0, 0.5, 0] }
-                },
-                material: {
-                    roughness: 0.8,
-                    metalness: 0.0,
-                    envMapIntensity: 0.8
-                },
-                platformSize: 1.5
+        this.settings = null; // SettingsStore (see setupSettings)
+        this.quality = 'auto'; // 'auto' or a fixed tier from src/quality.js
+        this.tierBeforeHighPoly = null; // auto tier to go back to after a heavy model
+        this.governor = new QualityGovernor({
+            initial: 'high',
+            onChange: (tier) => {
+                if (this.quality === 'auto') this.applyQualityTier(tier);
             }
-        };
-
-
-        this.init();
+        });
+        this.stats = { fps: 0, triangles: 0, lastTime: performance.now(), lastFrame: null, frames: 0 };
+        // Frames are drawn on demand (see invalidate), and the loop sleeps in between
+        this.needsRender = true;
+        this.renderLoopEnabled = false; // from the end of init until dispose
+        this.renderLoopRunning = false;
+        this.onVisibilityChange = null;
+        this.useDirectRendering = false; // Flag for high-poly direct rendering bypass
+        this.cameraAnimationToken = 0;
+        this.tourPlayer = null;
+        this.animationPlayer = null;
+        this.passTimer = null; // GPU timing of the composer passes
+        this.diagnosticsOpen = false;
+        this.exporting = false; // pauses the interactive loop during exports
+        this.xr = null;
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.exporter = new RenderExporter(this);
+        this.compare = new CompareView(this);
+
+        // Shareable links: state from the URL hash is restored during init.
+        // Only one viewer per page should own the hash (url-state attribute).
+        this.urlState = options.urlState ?? false;
+        this.initialState = this.urlState ? decodeState(window.location.hash) : {};
+        this.onPopState = null;
+        this.onReducedMotionChange = null;
+        this.onRootInput = null;
+        this.onRootKeydown = null;
+        this.applyingState = false;
+        this.urlUpdateTimer = null;
+        this.urlPushPending = false;
+
+        // Model configurations (filled from the gallery manifest in init)
+        this.manifestSource = options.manifest || findManifestSource();
+        this.manifest = null;
+        this.settingsKey = options.settingsKey || null; // settings-key attribute
+        this.modelConfigs = {};
+        this.requestedModel = options.model || null; // model attribute
+        this.requestedEnvironment = options.environment || null; // environment attribute
+
+        // dispose() may come while init() is still running (see stopIfDisposed)
+        this.started = false;
+        this.disposed = false;
+
+        this.ready = this.init();
+        this.ready.catch(() => {}); // reported on the loading screen and as an 'error' event
     }
 
     async init() {
+        try {
+            await this.loadGallery();
+        } catch (error) {
+            if (this.disposed) throw error;
+            console.error('❌ Gallery manifest failed:', error);
+            this.showLoadingError(error.message);
+            this.emit('error', { model: null, error });
+            throw error;
+        }
+        this.stopIfDisposed();
+
+        this.setupSettings();
         this.setupScene();
         this.setupCamera();
         this.setupRenderer();
+        this.setupLoaders();
         this.setupControls();
+        this.setupAnimation();
+        this.setupAnnotations();
+        this.setupMeasureTool();
+        this.setupClipping();
         this.setupLights();
-        await this.loadEnvironment();
-        await this.loadModel(this.currentModelKey);
+        this.setupEnvironment();
         this.setupPostProcessing();
+        this.setupXR();
+        this.setupDiagnostics();
+        // Applies every setting, which starts loading the environment
+        this.bindSettings();
+        await this.environmentLoad;
+        this.stopIfDisposed();
         this.setupEventListeners();
-        this.animate();
+        this.setupKeyboard();
+        // Already rendering, so a model preview shows while the rest loads.
+        // XR sessions drive the same loop once they start.
+        this.setupRenderLoop();
+        try {
+            await this.loadModel(this.currentModelKey);
+        } catch (error) {
+            // The error card offers a retry
+        }
+        this.stopIfDisposed();
+        await this.applyState(this.initialState);
+        this.stopIfDisposed();
+        this.setupUrlSync();
         this.hideLoadingScreen();
+        this.started = true;
+        return this;
+    }
+
+    /**
+     * Ends a start-up that dispose() cut short, releasing whatever it had
+     * set up. A moved <gallery-viewer> starts a new viewer in the same
+     * shadow root, which this one must leave alone from then on.
+     */
+    stopIfDisposed() {
+        if (!this.disposed) return;
+        if (this.renderer) this.release();
+        throw new Error('The viewer was disposed while starting up');
+    }
+
+    async loadGallery() {
+        this.manifest = await loadManifest(this.manifestSource);
+        if (this.disposed) return;
+        this.modelConfigs = this.manifest.models;
+
+        // A shared link (or the model attribute) picks the model before
+        // anything is loaded
+        const linkedModel = [this.initialState.model, this.requestedModel]
+            .find(key => key in this.modelConfigs);
+        this.currentModelKey = this.currentModelKey || linkedModel || this.manifest.defaultModel;
+        this.buildModelSelector();
+
+        console.log(`✅ Gallery manifest loaded: ${Object.keys(this.modelConfigs).length} models`);
+    }
+
+    buildModelSelector() {
+        const select = this.root.getElementById('model-select');
+        select.innerHTML = '';
+
+        Object.entries(this.modelConfigs).forEach(([key, config]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = config.title;
+            select.appendChild(option);
+        });
+
+        select.value = this.currentModelKey;
+
+        // Side B of the compare view can show any gallery model
+        const compareSelect = this.root.getElementById('compare-model');
+        compareSelect.innerHTML = '<option value="">Same as A</option>';
+        Object.entries(this.modelConfigs).forEach(([key, config]) => {
+            if (config.localAsset) return;
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = config.title;
+            compareSelect.appendChild(option);
+        });
+        compareSelect.value = this.compare.b.modelKey || '';
     }
 
     setupScene() {
         this.scene = new THREE.Scene();
         this.scene.background = new THREE.Color(0x0a0a0f);
         this.scene.fog = new THREE.Fog(0x0a0a0f, 10, 50);
+        this.materialInspector = new MaterialInspector(this.scene);
     }
 
     setupCamera() {
-        const aspect = window.innerWidth / window.innerHeight;
+        const [width, height] = this.getViewSize();
+        const aspect = width / height;
         this.camera = new THREE.PerspectiveCamera(45, aspect, 0.1, 100);
         this.camera.position.set(0, 1.5, 3);
     }
@@ -173,10 +297,11 @@ class PhotorealisticViewer {
         this.renderer = new THREE.WebGLRenderer({
             antialias: true,
             alpha: true,
+            stencil: true, // section plane caps
             powerPreference: 'high-performance'
         });
 
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.setSize(...this.getViewSize());
         this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 1)); // Reduced for performance
 
         // Enable physically correct lighting with calibrated exposure
@@ -188,7 +313,16 @@ class PhotorealisticViewer {
         this.renderer.shadowMap.enabled = true;
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 
-        this.container.appendChild(this.renderer.domElement);
+        // Counted per frame (see renderFrame), not per pass
+        this.renderer.info.autoReset = false;
+
+        // Focusable, so it can be orbited from the keyboard (see setupKeyboard)
+        const canvas = this.renderer.domElement;
+        canvas.tabIndex = 0;
+        canvas.setAttribute('role', 'application');
+        canvas.setAttribute('aria-roledescription', '3D viewer');
+
+        this.container.appendChild(canvas);
     }
 
     setupControls() {
@@ -198,46 +332,94 @@ class PhotorealisticViewer {
         this.controls.minDistance = 0.1;
         this.controls.maxDistance = 8;
         this.controls.maxPolarAngle = Math.PI * 0.95;
+        this.controls.autoRotateSpeed = 1.0;
         this.controls.target.set(0, 1.2, 0);
         this.controls.update();
+
+        this.tourPlayer = new TourPlayer({
+            camera: this.camera,
+            controls: this.controls,
+            onUpdate: (time, duration, pose) => this.updateTourUI(time, duration, pose)
+        });
+
+        // Grabbing the camera cancels any running preset animation or tour
+        this.controls.addEventListener('start', () => this.stopCameraAnimation());
+        // Fires on every camera move, damping and auto-rotate included
+        this.controls.addEventListener('change', () => {
+            this.invalidate();
+            this.emit('camerachange', {
+                position: this.camera.position.toArray(),
+                target: this.controls.target.toArray()
+            });
+        });
+    }
+
+    setupAnnotations() {
+        this.annotations = new AnnotationManager({
+            camera: this.camera,
+            layer: this.root.getElementById('annotation-layer'),
+            onSelect: (index, position, normal) => {
+                this.showAnnotationEditor(index);
+                this.flyToAnnotation(position, normal);
+            }
+        });
+    }
+
+    setupMeasureTool() {
+        this.measureTool = new MeasureTool({
+            scene: this.scene,
+            camera: this.camera,
+            layer: this.root.getElementById('measure-layer')
+        });
+    }
+
+    setupClipping() {
+        this.clipping = new ClippingManager({
+            renderer: this.renderer,
+            scene: this.scene,
+            camera: this.camera,
+            domElement: this.renderer.domElement,
+            orbitControls: this.controls
+        });
+
+        // Gizmo drags move the matching offset slider along
+        this.clipping.onChange = (index, plane) => {
+            this.root.getElementById(`section-${plane.axis}-offset`).value = plane.offset;
+        };
+        this.clipping.gizmo.addEventListener('change', () => this.invalidate());
     }
 
     setupLights() {
-        // Ambient light for base illumination (warm museum tone)
-        const ambientLight = new THREE.AmbientLight(0xfff5e6, 0.5);
-        this.scene.add(ambientLight);
-        this.lights.ambient = ambientLight;
-
-        // Key light (main) - DirectionalLight for natural, artifact-free illumination
-        const keyLight = new THREE.DirectionalLight(0xfff8f0, 1.2);
-        keyLight.position.set(4, 6, 3);
-        keyLight.castShadow = true;
-        keyLight.shadow.mapSize.width = 1024; // Reduced for performance
-        keyLight.shadow.mapSize.height = 1024;
-        keyLight.shadow.camera.near = 0.1;
-        keyLight.shadow.camera.far = 20;
-        keyLight.shadow.camera.left = -5;
-        keyLight.shadow.camera.right = 5;
-        keyLight.shadow.camera.top = 5;
-        keyLight.shadow.camera.bottom = -5;
-        keyLight.shadow.bias = -0.0001;
-        keyLight.shadow.radius = 2;
-        this.scene.add(keyLight);
-        this.lights.key = keyLight;
-
-        // Fill light
-        const fillLight = new THREE.DirectionalLight(0xc8e0ff, 0.3);
-        fillLight.position.set(-3, 2, 2);
-        fillLight.castShadow = false;
-        this.scene.add(fillLight);
-        this.lights.fill = fillLight;
-
-        // Rim light
-        const rimLight = new THREE.DirectionalLight(0xffd8b1, 0.25);
-        rimLight.position.set(0, 2, -4);
-        rimLight.castShadow = false;
-        this.scene.add(rimLight);
-        this.lights.rim = rimLight;
+        this.lightingPresets = { ...LIGHTING_PRESETS, ...this.manifest.lightingPresets };
+        this.lighting = new LightingRig({
+            scene: this.scene,
+            camera: this.camera,
+            domElement: this.renderer.domElement,
+            orbitControls: this.controls
+        });
+        this.lighting.onChange = () => this.refreshLightEditor();
+        // Gizmo hovers and drags
+        this.lighting.gizmo.addEventListener('change', () => this.invalidate());
+
+        const select = this.root.getElementById('lighting-preset');
+        Object.entries(this.lightingPresets).forEach(([key, preset]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = preset.title;
+            select.appendChild(option);
+        });
+
+        const addType = this.root.getElementById('light-add-type');
+        LIGHT_TYPES.forEach((type) => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = type.charAt(0).toUpperCase() + type.slice(1);
+            addType.appendChild(option);
+        });
+
+        const config = this.modelConfigs[this.currentModelKey];
+        this.modelLighting = config.lighting || DEFAULT_LIGHTING;
+        this.setLightingPreset(this.modelLighting);
 
         // Create platform
         this.createPlatform(1.5);
@@ -280,256 +462,662 @@ class PhotorealisticViewer {
         this.scene.add(this.shadowCatcher);
     }
 
-    async loadEnvironment() {
-        return new Promise((resolve) => {
-            const rgbeLoader = new RGBELoader();
-            const hdriUrl = 'https://dl.polyhaven.org/file/ph-assets/HDRIs/hdr/1k/studio_small_08_1k.hdr';
-
-            rgbeLoader.load(
-                hdriUrl,
-                (texture) => {
-                    texture.mapping = THREE.EquirectangularReflectionMapping;
-                    this.scene.environment = texture;
-                    this.envMap = texture;
-                    console.log('✅ HDRI environment loaded');
-                    resolve();
-                },
-                (progress) => {
-                    const percent = (progress.loaded / progress.total) * 30;
-                    this.updateLoadingProgress(percent);
-                },
-                (error) => {
-                    console.warn('⚠️ HDRI failed, using fallback');
-                    const cubeRenderTarget = new THREE.WebGLCubeRenderTarget(256);
-                    this.scene.environment = cubeRenderTarget.texture;
-                    resolve();
-                }
-            );
+    setupEnvironment() {
+        this.environment = new EnvironmentManager(this.renderer, this.scene, {
+            environments: this.manifest.environments,
+            hdriPath: this.assets.hdri
+        });
+
+        const select = this.root.getElementById('environment-select');
+        select.innerHTML = '';
+        Object.entries(this.manifest.environments).forEach(([key, environment]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = environment.title;
+            select.appendChild(option);
+        });
+    }
+
+    async loadEnvironment(key) {
+        const { fallback, cancelled } = await this.environment.load(key, (progress) => {
+            const percent = (progress.loaded / progress.total) * 30;
+            this.updateLoadingProgress(percent);
+        });
+        if (cancelled) return;
+
+        this.envMap = this.environment.texture;
+
+        if (fallback) {
+            const { title } = this.manifest.environments[key];
+            this.showNotice(`HDRI "${title}" could not be loaded - using a procedural studio environment instead.`);
+        }
+        this.invalidate();
+    }
+
+    /**
+     * Rebuilds the rig from a preset. The intensity and rotation sliders and
+     * the quality tier's shadow settings carry over.
+     */
+    setLightingPreset(key) {
+        const preset = this.lightingPresets[key];
+        if (!preset) return;
+
+        this.lighting.load(preset, key);
+        this.lighting.setIntensityScale(this.settings.get('lightIntensity'));
+        if (this.environment) this.updateLightRotation();
+        this.lighting.select(this.lighting.entries.findIndex(({ spec }) => spec.position));
+        this.refreshLightEditor();
+    }
+
+    // Syncs the lighting panel with the rig (preset, light list, selected light)
+    refreshLightEditor() {
+        const rig = this.lighting;
+        this.root.getElementById('lighting-preset').value = rig.presetKey || '';
+
+        const select = this.root.getElementById('light-select');
+        select.innerHTML = '';
+        rig.entries.forEach(({ spec }, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `${index + 1}. ${spec.name || spec.type}`;
+            select.appendChild(option);
+        });
+        select.value = rig.selectedIndex;
+
+        const entry = rig.entries[rig.selectedIndex];
+        const temperature = this.root.getElementById('light-temperature');
+        const brightness = this.root.getElementById('light-brightness');
+        const shadow = this.root.getElementById('light-shadow');
+
+        temperature.disabled = !entry;
+        brightness.disabled = !entry;
+        shadow.disabled = !entry || !entry.light.shadow;
+        this.root.getElementById('light-remove').disabled = !entry;
+        if (!entry) return;
+
+        // Spot and point lights are in candela, the rest in lux-like units
+        brightness.max = entry.light.isSpotLight || entry.light.isPointLight ? 100 : 5;
+        brightness.value = entry.spec.intensity;
+        temperature.value = entry.spec.temperature ?? 6500;
+        shadow.checked = Boolean(entry.spec.castShadow);
+    }
+
+    addLight(type) {
+        const defaults = {
+            ambient: { intensity: 0.3 },
+            hemisphere: { intensity: 0.5, groundTemperature: 4000 },
+            directional: { intensity: 1, position: [2, 4, 2] },
+            spot: { intensity: 30, position: [2, 4, 2], target: [0, 1, 0], angle: 30, penumbra: 0.5 },
+            point: { intensity: 10, position: [1, 2, 1] }
+        };
+        const index = this.lighting.add({ type, temperature: 5600, ...defaults[type] });
+        this.lighting.select(index);
+        this.refreshLightEditor();
+    }
+
+    exportLighting() {
+        const json = JSON.stringify(this.lighting.toPreset('Custom'), null, 4);
+        downloadBlob(new Blob([json], { type: 'application/json' }), 'lighting-preset.json');
+
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(json).catch(() => { /* download is enough */ });
+        }
+        this.showNotice('Lighting rig exported (also copied to the clipboard). Add it under "lightingPresets" in gallery.json.', 'info', 5000);
+    }
+
+    updateLightRotation() {
+        // The rig turns with the environment so highlights and
+        // reflections keep coming from the same direction
+        this.lighting.setRotation(this.settings.get('lightRotation') + this.environment.rotation);
+    }
+
+    /**
+     * Takes the current model off screen. Full manifest models go into the
+     * cache so switching back is instant; previews and local files are
+     * disposed.
+     */
+    disposeModel() {
+        if (!this.model) return;
+
+        this.tourPlayer.stop();
+        this.animationPlayer.clear();
+        // The loaded materials go back before anything else touches them
+        this.debugViews.clear();
+        this.materialInspector.clear();
+        this.annotations.clear();
+        this.showAnnotationEditor(-1);
+        this.measureTool.clear();
+        this.clipping.clearModel();
+        this.scene.remove(this.model);
+
+        const config = this.modelConfigs[this.modelKey];
+        if (this.modelIsPreview || !config || config.localAsset) {
+            if (this.variants) this.variants.dispose();
+            this.disposeObject(this.model);
+        } else {
+            // Keeps its variant, and the variant materials made so far
+            this.modelCache.put(this.modelKey, {
+                model: this.model,
+                triangles: this.stats.triangles,
+                metersPerSceneUnit: this.metersPerSceneUnit,
+                variants: this.variants,
+                animations: this.animations
+            });
+        }
+
+        this.model = null;
+        this.variants = null;
+        this.animations = [];
+        this.modelKey = null;
+    }
+
+    disposeObject(object) {
+        object.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (!child.material) return;
+
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach((material) => {
+                // Every texture slot, not just the base colour map
+                Object.values(material).forEach((value) => {
+                    if (value && value.isTexture) value.dispose();
+                });
+                material.dispose();
+            });
         });
     }
 
+    setupLoaders() {
+        // Draco and KTX2 decode in worker pools; one of each serves every
+        // model, and dispose() terminates them
+        this.dracoLoader = new DRACOLoader();
+        this.dracoLoader.setDecoderPath(this.assets.draco);
+
+        // KTX2/Basis textures stay compressed on the GPU
+        this.ktx2Loader = new KTX2Loader()
+            .setTranscoderPath(this.assets.basis)
+            .detectSupport(this.renderer);
+
+        this.gltfLoader = this.createGLTFLoader();
+    }
+
+    // Local files need their own manager; everything else uses gltfLoader
+    createGLTFLoader(manager) {
+        const loader = new GLTFLoader(manager);
+        loader.setDRACOLoader(this.dracoLoader);
+        loader.setKTX2Loader(this.ktx2Loader);
+        return loader;
+    }
+
+    loadGLTF(loader, url, onProgress) {
+        return new Promise((resolve, reject) => loader.load(url, resolve, onProgress, reject));
+    }
+
+    /**
+     * Loads a model from the manifest. The current model stays on screen
+     * until something replaces it: a cached copy straight away, or else the
+     * model's previews (smaller stand-ins, if the manifest lists any) one
+     * after another, then the full asset.
+     *
+     * Asking for the model already on screen keeps it and cancels any
+     * other load. Only the latest call wins: an earlier load that finishes
+     * later is discarded and resolves with { cancelled: true }. Rejects when
+     * the model can't be loaded (after showing the error card).
+     */
     async loadModel(modelKey) {
-        // Reset triangle count
-        this.stats.triangles = 0;
+        const config = this.modelConfigs[modelKey];
+        if (!config) throw new Error(`Unknown model "${modelKey}"`);
+
+        // Back to the model on screen (it isn't in the cache): just drop
+        // whatever was loading meanwhile. A local file is always new.
+        if (modelKey === this.modelKey && !this.modelIsPreview && !config.localAsset) {
+            this.hideModelError();
+            this.cancelModelLoad();
+            return { cached: true };
+        }
 
-        // Remove existing model
-        if (this.model) {
-            this.scene.remove(this.model);
-            this.model.traverse((child) => {
-                if (child.geometry) child.geometry.dispose();
-                if (child.material) {
-                    if (Array.isArray(child.material)) {
-                        child.material.forEach(mat => mat.dispose());
-                    } else {
-                        child.material.dispose();
+        const token = ++this.modelLoadToken;
+        const isCurrent = () => token === this.modelLoadToken;
+        this.currentModelKey = modelKey;
+        this.root.getElementById('model-select').value = modelKey;
+        this.hideModelError();
+
+        const cached = this.modelCache.take(modelKey);
+        if (cached) {
+            this.hideModelLoading();
+            this.showCachedModel(modelKey, cached, config);
+            return { cached: true };
+        }
+
+        // Local files resolve their siblings through the asset's own manager
+        const localAsset = config.localAsset;
+        const loader = localAsset ? this.createGLTFLoader(localAsset.createManager()) : this.gltfLoader;
+
+        this.showModelLoading(`Loading ${config.title}…`);
+        this.updateModelLoading(0);
+
+        let previewShown = false;
+        try {
+            // One at a time, cheapest first, so none competes with the next
+            // (or with the full asset) for bandwidth
+            for (const path of config.previews || []) {
+                try {
+                    const preview = await this.loadGLTF(loader, path);
+                    if (!isCurrent()) {
+                        this.disposeObject(preview.scene);
+                        return { cancelled: true };
                     }
+                    this.setupLoadedModel(preview, modelKey, config, { preview: true, keepCamera: previewShown });
+                    previewShown = true;
+                    this.showModelLoading(`Preview · loading full detail of ${config.title}…`);
+                    this.hideLoadingScreen();
+                } catch (error) {
+                    if (!isCurrent()) return { cancelled: true };
+                    console.warn(`⚠️ Preview of ${config.title} failed, moving on:`, error);
                 }
+            }
+
+            const gltf = await this.loadGLTF(loader, config.path, (progress) => {
+                if (!progress.total || !isCurrent()) return;
+                const percent = (progress.loaded / progress.total) * 100;
+                this.updateLoadingProgress(30 + percent * 0.7);
+                this.updateModelLoading(percent);
+                this.emit('progress', { model: modelKey, progress: percent / 100 });
             });
-            this.model = null;
-            this.material = null;
+
+            if (!isCurrent()) {
+                this.disposeObject(gltf.scene);
+                return { cancelled: true };
+            }
+
+            // Swapping in the full asset keeps whatever view the user found
+            this.setupLoadedModel(gltf, modelKey, config, { keepCamera: previewShown });
+            return { cancelled: false };
+        } catch (error) {
+            if (!isCurrent()) return { cancelled: true };
+
+            console.error('❌ Model loading failed:', error);
+            this.showModelError(modelKey, error);
+            throw error;
+        } finally {
+            if (localAsset) localAsset.revoke();
+            if (isCurrent()) this.hideModelLoading();
         }
+    }
 
-        const config = this.modelConfigs[modelKey];
-        this.currentModelKey = modelKey;
+    // Abandons the running load; the model on screen stays
+    cancelModelLoad() {
+        this.modelLoadToken++;
+        this.hideModelLoading();
+        this.restoreModelSelection();
+    }
+
+    // Points the selector (and the shared link) back at the model on screen
+    restoreModelSelection() {
+        if (!this.modelKey) return;
+        this.currentModelKey = this.modelKey;
+        this.root.getElementById('model-select').value = this.modelKey;
+        this.scheduleUrlUpdate();
+    }
+
+    showCachedModel(modelKey, cached, config) {
+        this.disposeModel();
+        this.model = cached.model;
+        this.modelKey = modelKey;
+        this.modelIsPreview = false;
+        this.stats.triangles = cached.triangles;
+        this.metersPerSceneUnit = cached.metersPerSceneUnit;
+        this.variants = cached.variants;
+        this.animations = cached.animations;
+        this.showModel(config);
+    }
+
+    setupLoadedModel(gltf, modelKey, config, { preview = false, keepCamera = false } = {}) {
+        // Replaces whatever is showing (the previous model or a preview)
+        this.disposeModel();
+        const { triangles, metersPerSceneUnit } = this.prepareModel(gltf.scene, config);
+        this.model = gltf.scene;
+        this.modelKey = modelKey;
+        this.modelIsPreview = preview;
+        this.stats.triangles = triangles;
+        this.metersPerSceneUnit = metersPerSceneUnit;
+        this.variants = preview ? null : this.createVariants(gltf, config);
+        this.animations = gltf.animations;
+
+        this.showModel(config, { keepCamera });
+    }
+
+    /**
+     * Fits a freshly loaded scene to the stage and applies the manifest's
+     * material settings. Returns its triangle count and real-world scale.
+     */
+    prepareModel(model, config) {
+        let triangles = 0;
+
+        // Center and scale
+        const box = new THREE.Box3().setFromObject(model);
+        const center = box.getCenter(new THREE.Vector3());
+        const size = box.getSize(new THREE.Vector3());
+
+        // DEBUG: Log model dimensions before scaling
+        console.log(`📦 ${config.title} ORIGINAL bounding box:`, {
+            center: { x: center.x.toFixed(4), y: center.y.toFixed(4), z: center.z.toFixed(4) },
+            size: { x: size.x.toFixed(4), y: size.y.toFixed(4), z: size.z.toFixed(4) },
+            maxDim: Math.max(size.x, size.y, size.z).toFixed(4)
+        });
+
+        // First, apply scale
+        const maxDim = Math.max(size.x, size.y, size.z);
+        const scale = config.scale / maxDim;
+        model.scale.setScalar(scale);
+
+        // unitScale is metres per file unit; undo the fit-to-stage scale
+        const metersPerSceneUnit = config.unitScale / scale;
+
+        // DEBUG: Log scale applied
+        console.log(`📐 Scale applied: config.scale=${config.scale}, maxDim=${maxDim.toFixed(4)}, finalScale=${scale.toFixed(6)}`);
 
-        return new Promise((resolve, reject) => {
-            const loader = new GLTFLoader();
-
-            // Setup Draco Loader
-            const dracoLoader = new DRACOLoader();
-            dracoLoader.setDecoderPath('https://www.gstatic.com/draco/v1/decoders/');
-            loader.setDRACOLoader(dracoLoader);
-
-            loader.load(
-                config.path,
-                (gltf) => {
-                    this.model = gltf.scene;
-
-                    // Center and scale
-                    const box = new THREE.Box3().setFromObject(this.model);
-                    const center = box.getCenter(new THREE.Vector3());
-                    const size = box.getSize(new THREE.Vector3());
-
-                    // DEBUG: Log model dimensions before scaling
-                    console.log(`📦 ${config.title} ORIGINAL bounding box:`, {
-                        center: { x: center.x.toFixed(4), y: center.y.toFixed(4), z: center.z.toFixed(4) },
-                        size: { x: size.x.toFixed(4), y: size.y.toFixed(4), z: size.z.toFixed(4) },
-                        maxDim: Math.max(size.x, size.y, size.z).toFixed(4)
-                    });
-
-                    // First, apply scale
-                    const maxDim = Math.max(size.x, size.y, size.z);
-                    const scale = config.scale / maxDim;
-                    this.model.scale.setScalar(scale);
-
-                    // DEBUG: Log scale applied
-                    console.log(`📐 Scale applied: config.scale=${config.scale}, maxDim=${maxDim.toFixed(4)}, finalScale=${scale.toFixed(6)}`);
-
-                    // Update world matrix after scaling to get correct bounds
-                    this.model.updateMatrixWorld(true);
-
-                    // Get the new bounding box AFTER scaling
-                    const scaledBox = new THREE.Box3().setFromObject(this.model);
-                    const scaledCenter = scaledBox.getCenter(new THREE.Vector3());
-                    const scaledSize = scaledBox.getSize(new THREE.Vector3());
-
-                    // Position the model so its base sits on Y=0 (ground level)
-                    // Then add the config.position offset on top
-                    const baseY = scaledBox.min.y; // Bottom of the model
-                    this.model.position.set(
-                        -scaledCenter.x + config.position[0],  // Center X + offset
-                        -baseY + config.position[1],           // Place bottom at ground + offset
-                        -scaledCenter.z + config.position[2]   // Center Z + offset
-                    );
-
-                    // DEBUG: Log final model position
-                    console.log(`📍 Final model position:`, this.model.position);
-
-                    // DEBUG: Check final bounding box after positioning
-                    this.model.updateMatrixWorld(true);
-                    const finalBox = new THREE.Box3().setFromObject(this.model);
-                    const finalSize = finalBox.getSize(new THREE.Vector3());
-                    const finalCenter = finalBox.getCenter(new THREE.Vector3());
-                    console.log(`📦 ${config.title} FINAL bounding box:`, {
-                        center: { x: finalCenter.x.toFixed(4), y: finalCenter.y.toFixed(4), z: finalCenter.z.toFixed(4) },
-                        size: { x: finalSize.x.toFixed(4), y: finalSize.y.toFixed(4), z: finalSize.z.toFixed(4) },
-                        minY: finalBox.min.y.toFixed(4)
-                    });
-
-                    // Setup materials
-                    this.model.traverse((child) => {
-                        if (child.isMesh) {
-                            child.castShadow = true;
-                            child.receiveShadow = true;
-
-                            if (child.material) {
-                                this.material = child.material;
-
-                                if (child.material.isMeshStandardMaterial) {
-                                    // Only apply config overrides for marble
-                                    if (modelKey === 'marble') {
-                                        child.material.envMapIntensity = config.material.envMapIntensity;
-                                        child.material.roughness = config.material.roughness;
-                                        child.material.metalness = config.material.metalness;
-
-                                        if (child.material.color) {
-                                            child.material.color.multiplyScalar(1.02);
-                                        }
-                                    }
-                                    // For sneaker and carpet, preserve original materials
-                                    else if (modelKey === 'sneaker' || modelKey === 'carpet') {
-                                        // Only ensure environment mapping is active
-                                        if (!child.material.envMapIntensity || child.material.envMapIntensity < 0.5) {
-                                            child.material.envMapIntensity = 0.8;
-                                        }
-                                        // Keep original roughness, metalness, and color from GLB
-                                    }
-
-                                    if (child.material.map) {
-                                        child.material.map.colorSpace = THREE.SRGBColorSpace;
-                                    }
-
-                                    child.material.needsUpdate = true;
-                                }
-
-                                if (child.geometry) {
-                                    this.stats.triangles += child.geometry.index ?
-                                        child.geometry.index.count / 3 :
-                                        child.geometry.attributes.position.count / 3;
-                                }
-                            }
-                        }
-                    });
-
-                    this.scene.add(this.model);
-
-                    // Update platform
-                    this.createPlatform(config.platformSize);
-
-                    // Update UI
-                    document.getElementById('poly-count').textContent =
-                        Math.round(this.stats.triangles).toLocaleString();
-
-                    // HIGH-POLY PERFORMANCE OPTIMIZATION
-                    if (config.highPoly || this.stats.triangles > 200000) {
-                        console.warn(`⚡ High-poly mode: ${Math.round(this.stats.triangles).toLocaleString()} tris - disabling expensive effects`);
-
-                        // Disable shadows completely for this model
-                        this.model.traverse((child) => {
-                            if (child.isMesh) {
-                                child.castShadow = false;
-                                child.receiveShadow = false;
-                                child.frustumCulled = true; // Enable frustum culling
-                                child.matrixAutoUpdate = false; // Static model optimization
-                                child.updateMatrix(); // Update once
-                            }
-                        });
-                        // Freeze model matrix
-                        this.model.matrixAutoUpdate = false;
-                        this.model.updateMatrixWorld(true);
-
-                        // Disable post-processing passes
-                        if (this.ssaoPass) this.ssaoPass.enabled = false;
-                        if (this.bloomPass) this.bloomPass.enabled = false;
-
-                        // Use direct rendering instead of composer for high-poly
-                        this.useDirectRendering = true;
-
-                        // Disable shadows at ALL levels
-                        this.renderer.shadowMap.enabled = false;
-                        this.lights.key.castShadow = false;
-
-                        // Sync UI checkboxes
-                        const shadowsCheckbox = document.getElementById('toggle-shadows');
-                        if (shadowsCheckbox) shadowsCheckbox.checked = false;
-
-                    } else {
-                        this.useDirectRendering = false;
-                        this.renderer.shadowMap.enabled = true;
-                        this.lights.key.castShadow = true;
+        // Update world matrix after scaling to get correct bounds
+        model.updateMatrixWorld(true);
+
+        // Get the new bounding box AFTER scaling
+        const scaledBox = new THREE.Box3().setFromObject(model);
+        const scaledCenter = scaledBox.getCenter(new THREE.Vector3());
+        const scaledSize = scaledBox.getSize(new THREE.Vector3());
+
+        // Position the model so its base sits on Y=0 (ground level)
+        // Then add the config.position offset on top
+        const baseY = scaledBox.min.y; // Bottom of the model
+        model.position.set(
+            -scaledCenter.x + config.position[0],  // Center X + offset
+            -baseY + config.position[1],           // Place bottom at ground + offset
+            -scaledCenter.z + config.position[2]   // Center Z + offset
+        );
+
+        // DEBUG: Log final model position
+        console.log(`📍 Final model position:`, model.position);
+
+        // DEBUG: Check final bounding box after positioning
+        model.updateMatrixWorld(true);
+        const finalBox = new THREE.Box3().setFromObject(model);
+        const finalSize = finalBox.getSize(new THREE.Vector3());
+        const finalCenter = finalBox.getCenter(new THREE.Vector3());
+        console.log(`📦 ${config.title} FINAL bounding box:`, {
+            center: { x: finalCenter.x.toFixed(4), y: finalCenter.y.toFixed(4), z: finalCenter.z.toFixed(4) },
+            size: { x: finalSize.x.toFixed(4), y: finalSize.y.toFixed(4), z: finalSize.z.toFixed(4) },
+            minY: finalBox.min.y.toFixed(4)
+        });
+
+        // Setup materials
+        model.traverse((child) => {
+            if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+
+                if (child.material) {
+                    this.prepareMaterial(child.material, config.material);
+
+                    if (child.geometry) {
+                        triangles += child.geometry.index ?
+                            child.geometry.index.count / 3 :
+                            child.geometry.attributes.position.count / 3;
                     }
+                }
+            }
+        });
+
+        return { triangles, metersPerSceneUnit };
+    }
+
+    /**
+     * Variants for a freshly prepared model. The file's own
+     * KHR_materials_variants load in the background and join the picker
+     * when they are ready.
+     */
+    createVariants(gltf, config) {
+        const variants = new VariantSet(gltf.scene, config.variants);
+        variants.addGLTFVariants(gltf, material => this.prepareMaterial(material, config.material))
+            .then(() => {
+                if (variants === this.variants) this.refreshVariantPanel();
+            })
+            .catch((error) => {
+                console.warn('⚠️ glTF material variants could not be loaded:', error);
+            });
+        return variants;
+    }
+
+    // Applies the manifest's material mode to one of the model's materials
+    prepareMaterial(material, materialConfig) {
+        if (!material.isMeshStandardMaterial) return;
+
+        if (materialConfig.mode === 'override') {
+            if (materialConfig.envMapIntensity !== undefined) material.envMapIntensity = materialConfig.envMapIntensity;
+            if (materialConfig.roughness !== undefined) material.roughness = materialConfig.roughness;
+            if (materialConfig.metalness !== undefined) material.metalness = materialConfig.metalness;
+
+            if (material.color && materialConfig.colorBoost) {
+                material.color.multiplyScalar(materialConfig.colorBoost);
+            }
+        }
+        // Preserve original materials from the GLB
+        else if (materialConfig.mode === 'preserve') {
+            // Only ensure environment mapping is active
+            const minIntensity = materialConfig.minEnvMapIntensity ?? 0.5;
+            if (!material.envMapIntensity || material.envMapIntensity < minIntensity) {
+                material.envMapIntensity = materialConfig.envMapIntensity ?? 0.8;
+            }
+            // Keep original roughness, metalness, and color from GLB
+        }
+
+        // Colour maps decode from sRGB; ones that weren't tagged are flagged for QA
+        fixColorSpaces(material);
+
+        material.needsUpdate = true;
+    }
+
+    // Puts the prepared this.model on stage and points every tool at it
+    showModel(config, { keepCamera = false } = {}) {
+        this.scene.add(this.model);
+
+        // Index meshes and materials for the material panel
+        this.materialInspector.setModel(this.model);
+        this.refreshMaterialPanel();
+
+        // Curator notes anchored to the model surface
+        this.annotations.setModel(this.model, config.annotations);
+
+        // Real-world dimensions
+        this.measureTool.setModel(this.model, this.metersPerSceneUnit);
+        this.updateMeasureReadout();
+
+        // Section planes clip every material of the new model
+        this.clipping.setModel(this.model);
 
-                    // Set camera
-                    this.setCameraPreset('front');
-
-                    console.log(`✅ ${config.title} loaded:`, {
-                        triangles: Math.round(this.stats.triangles)
-                    });
-
-                    resolve();
-                },
-                (progress) => {
-                    const percent = 30 + (progress.loaded / progress.total) * 70;
-                    this.updateLoadingProgress(percent);
-                },
-                (error) => {
-                    console.error('❌ Model loading failed:', error);
-                    reject(error);
+        // Asset QA: what to flag, and the debug view if one is on
+        this.refreshAssetIssues();
+        this.debugViews.setModel(this.model);
+
+        // Local files get a platform and camera presets sized to their bounds
+        const finalBox = new THREE.Box3().setFromObject(this.model);
+        const finalSize = finalBox.getSize(new THREE.Vector3());
+        if (!config.platformSize) {
+            config.platformSize = Math.hypot(finalSize.x, finalSize.z) * 0.55;
+        }
+        if (!config.cameraPresets) {
+            config.cameraPresets = this.createFitCameraPresets(finalBox);
+        }
+
+        // Update platform
+        this.createPlatform(config.platformSize);
+
+        // Update UI
+        this.root.getElementById('poly-count').textContent =
+            Math.round(this.stats.triangles).toLocaleString();
+        this.root.getElementById('texture-resolution').textContent = config.details.textureResolution || '-';
+        this.root.getElementById('material-type').textContent = config.details.materialType || '-';
+
+        // The file's own animations, playing from the start unless motion is reduced
+        this.animationPlayer.setModel(this.model, this.animations);
+        this.refreshAnimationPanel();
+        if (this.animations.length && !this.reducedMotion.matches) this.animationPlayer.play();
+
+        // HIGH-POLY PERFORMANCE OPTIMIZATION
+        const highPoly = config.highPoly || this.stats.triangles > HIGH_POLY_TRIANGLES;
+        if (highPoly) {
+            console.warn(`⚡ High-poly mode: ${Math.round(this.stats.triangles).toLocaleString()} tris - freezing matrices`);
+
+            // Nodes the clips move keep updating
+            const animated = findAnimatedNodes(this.model, this.animations);
+            this.model.traverse((child) => {
+                if (child.isMesh && !animated.has(child)) {
+                    child.frustumCulled = true; // Enable frustum culling
+                    child.matrixAutoUpdate = false; // Static model optimization
+                    child.updateMatrix(); // Update once
                 }
-            );
+            });
+            // Freeze model matrix
+            if (!animated.has(this.model)) this.model.matrixAutoUpdate = false;
+            this.model.updateMatrixWorld(true);
+        }
+
+        // Shadows and post-processing are the governor's call: a new model
+        // changes the workload, so measure again. Heavy ones start cheap,
+        // and the next ordinary one gets back the tier from before.
+        if (this.quality === 'auto') {
+            let tier = this.governor.tier.name;
+            if (highPoly) {
+                this.tierBeforeHighPoly = this.tierBeforeHighPoly || tier;
+                tier = 'low';
+            } else if (this.tierBeforeHighPoly) {
+                tier = this.tierBeforeHighPoly;
+                this.tierBeforeHighPoly = null;
+            }
+            this.governor.reset(tier);
+            if (this.composer) this.applyQualityTier(this.governor.tier);
+        }
+
+        // Authored camera tours
+        this.refreshTourList();
+
+        if (this.diagnosticsOpen) this.updateMeshTable();
+
+        // Colourways and finishes
+        this.refreshVariantPanel();
+
+        // Each model's preset, unless the last model used the same one (the
+        // rig then keeps any edits)
+        const lighting = config.lighting || DEFAULT_LIGHTING;
+        if (lighting !== this.modelLighting) {
+            this.modelLighting = lighting;
+            this.setLightingPreset(lighting);
+        }
+
+        // The model's exposure and light settings: manifest, then saved edits
+        this.settings.setModel(this.modelKey, config.settings);
+
+        // A compare view showing a copy of this model needs a fresh one
+        this.root.getElementById('compare-edit').value = 'a';
+        this.compare.onModelChanged();
+        this.xr.onModelChanged();
+
+        // Set camera
+        if (!keepCamera) this.setCameraPreset('front');
+        this.invalidate();
+
+        const triangles = Math.round(this.stats.triangles).toLocaleString();
+        this.renderer.domElement.setAttribute('aria-label',
+            `${config.title}. Arrow keys or W, A, S, D orbit; plus and minus zoom.`);
+        if (!this.modelIsPreview) {
+            this.announce(`${config.title} loaded, ${triangles} triangles`);
+            this.emit('load', { model: this.modelKey, title: config.title, triangles: Math.round(this.stats.triangles) });
+        }
+
+        console.log(`✅ ${config.title} loaded:`, {
+            triangles: Math.round(this.stats.triangles)
         });
     }
 
+    async loadLocalFiles(entries) {
+        const asset = new LocalAsset(entries);
+        if (!asset.mainPath) {
+            console.warn('⚠️ No .glb or .gltf file among the dropped files');
+            this.showNotice('Drop a .glb, or a .gltf with its .bin and textures', 'error');
+            return;
+        }
+
+        // Local files have no manifest entry: fit them like any gallery
+        // model and derive platform and camera presets from their bounds
+        this.modelConfigs.local = {
+            path: asset.mainPath,
+            title: asset.name,
+            scale: 2,
+            position: [0, 0, 0],
+            cameraPresets: null,
+            material: { mode: 'original' },
+            platformSize: null,
+            highPoly: false,
+            details: { materialType: 'Local file' },
+            annotations: [],
+            tours: {},
+            variants: {},
+            unitScale: 1, // glTF units are metres
+            localAsset: asset
+        };
+
+        this.buildModelSelector();
+
+        try {
+            await this.loadModel('local');
+        } catch (error) {
+            console.error(`❌ Could not load local file ${asset.name}:`, error);
+        }
+    }
+
+    createFitCameraPresets(box) {
+        const center = box.getCenter(new THREE.Vector3());
+        const size = box.getSize(new THREE.Vector3());
+        const radius = size.length() / 2;
+        const target = [center.x, center.y, center.z];
+
+        return {
+            front: { position: [center.x, center.y + radius * 0.3, center.z + radius * 2.2], target },
+            side: { position: [center.x + radius * 2.2, center.y + radius * 0.2, center.z + radius * 0.3], target },
+            top: { position: [center.x, center.y + radius * 2.8, center.z + 0.01], target },
+            closeup: { position: [center.x + radius * 0.6, center.y + radius * 0.3, center.z + radius * 1.1], target }
+        };
+    }
+
     setupPostProcessing() {
-        this.composer = new EffectComposer(this.renderer);
+        // The default composer targets have no stencil, which the
+        // section plane caps need
+        const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+        const renderTarget = new THREE.WebGLRenderTarget(size.x, size.y, {
+            type: THREE.HalfFloatType,
+            stencilBuffer: true
+        });
+        this.composer = new EffectComposer(this.renderer, renderTarget);
 
         const renderPass = new RenderPass(this.scene, this.camera);
         this.composer.addPass(renderPass);
 
+        const [width, height] = this.getViewSize();
         this.ssaoPass = new SSAOPass(
             this.scene,
             this.camera,
-            window.innerWidth,
-            window.innerHeight
+            width,
+            height
         );
         this.ssaoPass.kernelRadius = 8;
         this.ssaoPass.minDistance = 0.001;
         this.ssaoPass.maxDistance = 0.05;
         this.ssaoPass.output = SSAOPass.OUTPUT.Default;
+        // SSAO sees the cut model, but not the stencil-only cap helpers
+        this.clipping.addClippedMaterial(this.ssaoPass.normalMaterial);
+        hideDuringPass(this.ssaoPass, () => [...this.clipping.stencilObjects, ...this.lighting.helperObjects]);
         this.composer.addPass(this.ssaoPass);
 
         this.bloomPass = new UnrealBloomPass(
-            new THREE.Vector2(window.innerWidth, window.innerHeight),
+            new THREE.Vector2(width, height),
             0.15,
             0.6,
             0.92
@@ -539,190 +1127,1722 @@ class PhotorealisticViewer {
         const outputPass = new OutputPass();
         this.composer.addPass(outputPass);
 
+        // GPU time per pass for the diagnostics panel
+        this.passTimer = new PassTimer(this.renderer);
+        this.timedPasses = [
+            { name: 'Render', pass: renderPass },
+            { name: 'SSAO', pass: this.ssaoPass },
+            { name: 'Bloom', pass: this.bloomPass },
+            { name: 'Output', pass: outputPass }
+        ];
+        this.timedPasses.forEach(({ name, pass }) => this.passTimer.wrap(pass, name));
+
         console.log('✅ Post-processing setup complete');
     }
 
+    setupXR() {
+        const vrButton = this.root.getElementById('vr-btn');
+        const arButton = this.root.getElementById('ar-btn');
+        const overlay = this.root.getElementById('xr-overlay');
+
+        this.xr = new XRManager(this, {
+            overlay,
+            onSessionChange: (mode) => {
+                overlay.hidden = mode !== 'ar';
+                vrButton.classList.toggle('active', mode === 'vr');
+                arButton.classList.toggle('active', mode === 'ar');
+                // Back on the page: pick up any resize from the session
+                if (!mode) this.onResize();
+                this.invalidate();
+            }
+        });
+
+        // The buttons only show where the browser (or an emulator) offers the mode
+        this.xr.checkSupport().then(({ vr, ar }) => {
+            vrButton.hidden = !vr;
+            arButton.hidden = !ar;
+        });
+
+        const toggle = async (mode) => {
+            if (this.xr.mode) {
+                this.xr.end();
+                return;
+            }
+            try {
+                await this.xr.start(mode);
+            } catch (error) {
+                console.error(`❌ ${mode.toUpperCase()} session failed:`, error);
+                this.showNotice(`Could not start ${mode.toUpperCase()}: ${error.message}`, 'error');
+            }
+        };
+        vrButton.addEventListener('click', () => toggle('vr'));
+        arButton.addEventListener('click', () => toggle('ar'));
+        const exitButton = this.root.getElementById('xr-exit');
+        exitButton.addEventListener('click', () => this.xr.end());
+        // Taps on the overlay button shouldn't also place the model
+        exitButton.addEventListener('beforexrselect', event => event.preventDefault());
+    }
+
     setupEventListeners() {
-        window.addEventListener('resize', () => this.onWindowResize());
+        // Sized by the host element rather than the window, so the viewer
+        // can sit anywhere on a page
+        this.resizeObserver = new ResizeObserver(() => this.onResize());
+        this.resizeObserver.observe(this.container);
+
+        // Any panel edit or button may change the picture. Capture phase:
+        // applyState's synthetic events don't bubble
+        this.onRootInput = () => this.invalidate();
+        ['input', 'change', 'click'].forEach((type) => {
+            this.root.addEventListener(type, this.onRootInput, true);
+        });
+
+        // Model loading: cancel, and the error card
+        this.root.getElementById('model-loading-cancel').addEventListener('click', () => this.cancelModelLoad());
+        this.root.getElementById('model-error-retry').addEventListener('click', () => this.retryModelLoad());
+        this.root.getElementById('model-error-dismiss').addEventListener('click', () => this.hideModelError());
 
         // Model selector
-        document.getElementById('model-select').addEventListener('change', async (e) => {
+        this.root.getElementById('model-select').addEventListener('change', async (e) => {
             const modelKey = e.target.value;
-            await this.loadModel(modelKey);
+            this.scheduleUrlUpdate({ push: true });
+            try {
+                await this.loadModel(modelKey);
+            } catch (error) {
+                // The error card offers a retry
+            }
+        });
+
+        // Local files: file picker and drag-and-drop onto the canvas
+        const fileInput = this.root.getElementById('file-input');
+        this.root.getElementById('open-file-btn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            if (!fileInput.files.length) return;
+            await this.loadLocalFiles(collectPickedFiles(fileInput.files));
+            fileInput.value = '';
+        });
+
+        let dragDepth = 0;
+        this.container.addEventListener('dragenter', (e) => {
+            e.preventDefault();
+            dragDepth++;
+            this.container.classList.add('drag-over');
+        });
+        this.container.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        this.container.addEventListener('dragleave', () => {
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0) this.container.classList.remove('drag-over');
+        });
+        this.container.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            dragDepth = 0;
+            this.container.classList.remove('drag-over');
+            const entries = await collectDroppedFiles(e.dataTransfer);
+            await this.loadLocalFiles(entries);
         });
 
         // Camera presets
-        document.querySelectorAll('.preset-btn').forEach((btn) => {
+        this.root.querySelectorAll('.preset-btn').forEach((btn) => {
             btn.addEventListener('click', (e) => {
                 const preset = e.currentTarget.dataset.preset;
                 this.setCameraPreset(preset);
+                this.scheduleUrlUpdate({ push: true });
 
-                document.querySelectorAll('.preset-btn').forEach(b => b.classList.remove('active'));
-                e.currentTarget.classList.add('active');
+                this.root.querySelectorAll('.preset-btn').forEach((b) => {
+                    b.classList.toggle('active', b === e.currentTarget);
+                    b.setAttribute('aria-pressed', b === e.currentTarget);
+                });
             });
         });
 
         // Quality toggle
-        document.getElementById('quality-btn').addEventListener('click', () => {
+        this.root.getElementById('quality-btn').addEventListener('click', () => {
             this.toggleQuality();
         });
 
-        // Lighting controls
-        document.getElementById('light-intensity').addEventListener('input', (e) => {
-            const value = parseFloat(e.target.value);
-            this.lights.key.intensity = value * 1.2;
-            this.lights.fill.intensity = value * 0.3;
-            this.lights.rim.intensity = value * 0.25;
+        // Lighting presets and the light editor
+        this.root.getElementById('lighting-preset').addEventListener('change', (e) => {
+            this.setLightingPreset(e.target.value);
         });
-
-        document.getElementById('light-rotation').addEventListener('input', (e) => {
-            const angle = (parseFloat(e.target.value) * Math.PI) / 180;
-            const distance = 5;
-            this.lights.key.position.x = Math.sin(angle) * distance;
-            this.lights.key.position.z = Math.cos(angle) * distance;
+        this.root.getElementById('light-select').addEventListener('change', (e) => {
+            this.lighting.select(parseInt(e.target.value, 10));
+            this.refreshLightEditor();
+        });
+        this.root.getElementById('light-temperature').addEventListener('input', (e) => {
+            this.lighting.update(this.lighting.selectedIndex, { temperature: parseFloat(e.target.value), color: undefined });
+            this.root.getElementById('lighting-preset').value = '';
+        });
+        this.root.getElementById('light-brightness').addEventListener('input', (e) => {
+            this.lighting.update(this.lighting.selectedIndex, { intensity: parseFloat(e.target.value) });
+            this.root.getElementById('lighting-preset').value = '';
+        });
+        this.root.getElementById('light-shadow').addEventListener('change', (e) => {
+            this.lighting.update(this.lighting.selectedIndex, { castShadow: e.target.checked });
+            this.root.getElementById('lighting-preset').value = '';
         });
+        this.root.getElementById('light-helpers').addEventListener('change', (e) => {
+            this.lighting.setHelpersVisible(e.target.checked);
+        });
+        this.root.getElementById('light-add').addEventListener('click', () => {
+            this.addLight(this.root.getElementById('light-add-type').value);
+        });
+        this.root.getElementById('light-remove').addEventListener('click', () => {
+            const index = this.lighting.selectedIndex;
+            this.lighting.remove(index);
+            this.lighting.select(Math.min(index, this.lighting.entries.length - 1));
+            this.refreshLightEditor();
+        });
+        this.root.getElementById('light-export').addEventListener('click', () => this.exportLighting());
 
-        document.getElementById('exposure').addEventListener('input', (e) => {
-            this.renderer.toneMappingExposure = parseFloat(e.target.value);
+        // Material controls (edit the material picked in the inspector)
+        this.root.getElementById('material-select').addEventListener('change', (e) => {
+            this.materialInspector.select(parseInt(e.target.value, 10));
+            this.syncMaterialControls();
         });
 
-        // Material controls
-        document.getElementById('roughness').addEventListener('input', (e) => {
-            if (this.material && this.material.isMeshStandardMaterial) {
-                this.material.roughness = parseFloat(e.target.value);
+        this.root.getElementById('roughness').addEventListener('input', (e) => {
+            const material = this.materialInspector.selectedMaterial;
+            if (material && material.isMeshStandardMaterial) {
+                material.roughness = parseFloat(e.target.value);
             }
         });
 
-        document.getElementById('metalness').addEventListener('input', (e) => {
-            if (this.material && this.material.isMeshStandardMaterial) {
-                this.material.metalness = parseFloat(e.target.value);
+        this.root.getElementById('metalness').addEventListener('input', (e) => {
+            const material = this.materialInspector.selectedMaterial;
+            if (material && material.isMeshStandardMaterial) {
+                material.metalness = parseFloat(e.target.value);
             }
         });
 
-        document.getElementById('normal-strength').addEventListener('input', (e) => {
-            if (this.material && this.material.normalMap) {
-                this.material.normalScale.set(
+        this.root.getElementById('normal-strength').addEventListener('input', (e) => {
+            const material = this.materialInspector.selectedMaterial;
+            if (material && material.normalMap) {
+                material.normalScale.set(
                     parseFloat(e.target.value),
                     parseFloat(e.target.value)
                 );
             }
         });
 
-        // Effects toggles
-        document.getElementById('toggle-ssao').addEventListener('change', (e) => {
-            this.ssaoPass.enabled = e.target.checked;
+        this.root.getElementById('material-color').addEventListener('input', (e) => {
+            const material = this.materialInspector.selectedMaterial;
+            if (material && material.color) material.color.set(e.target.value);
         });
 
-        document.getElementById('toggle-bloom').addEventListener('change', (e) => {
-            this.bloomPass.enabled = e.target.checked;
+        this.root.getElementById('material-emissive').addEventListener('input', (e) => {
+            const material = this.materialInspector.selectedMaterial;
+            if (material && material.emissive) material.emissive.set(e.target.value);
         });
 
-        document.getElementById('toggle-shadows').addEventListener('change', (e) => {
-            this.renderer.shadowMap.enabled = e.target.checked;
-            this.lights.key.castShadow = e.target.checked;
+        this.root.getElementById('emissive-intensity').addEventListener('input', (e) => {
+            const material = this.materialInspector.selectedMaterial;
+            if (material && material.emissive) material.emissiveIntensity = parseFloat(e.target.value);
         });
 
-        document.getElementById('toggle-autorotate').addEventListener('change', (e) => {
-            this.controls.autoRotate = e.target.checked;
-            this.controls.autoRotateSpeed = 1.0;
+        this.root.getElementById('env-map-intensity').addEventListener('input', (e) => {
+            const material = this.materialInspector.selectedMaterial;
+            if (material && material.isMeshStandardMaterial) {
+                material.envMapIntensity = parseFloat(e.target.value);
+            }
         });
 
-        document.getElementById('close-instructions').addEventListener('click', () => {
-            document.getElementById('instructions').classList.add('hidden');
+        this.root.getElementById('texture-slots').addEventListener('change', (e) => {
+            const material = this.materialInspector.selectedMaterial;
+            if (!material || !e.target.dataset.slot) return;
+            this.materialInspector.setTextureEnabled(material, e.target.dataset.slot, e.target.checked);
+            this.syncMaterialControls();
+            if (this.debugViews.active) this.debugViews.refresh();
         });
 
-        this.renderer.domElement.addEventListener('dblclick', () => {
-            this.setCameraPreset('front');
+        // Asset QA view modes
+        const viewModeSelect = this.root.getElementById('view-mode');
+        VIEW_MODES.forEach(({ key, label }) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = label;
+            viewModeSelect.appendChild(option);
         });
-    }
-
-    setCameraPreset(presetName) {
-        const config = this.modelConfigs[this.currentModelKey];
-        const preset = config.cameraPresets[presetName];
-        if (!preset) return;
+        viewModeSelect.addEventListener('change', (e) => this.setViewMode(e.target.value));
 
-        const targetPos = new THREE.Vector3(...preset.position);
-        const targetLookAt = new THREE.Vector3(...preset.target);
-
-        const startPos = this.camera.position.clone();
-        const startLookAt = this.controls.target.clone();
+        // Outline the selected mesh while the material panel is in use
+        const materialPanel = this.root.querySelector('.material-controls');
+        const showHighlight = (visible) => {
+            this.materialInspector.setHighlightVisible(visible);
+            this.invalidate();
+        };
+        materialPanel.addEventListener('mouseenter', () => showHighlight(true));
+        materialPanel.addEventListener('mouseleave', () => showHighlight(materialPanel.contains(this.root.activeElement)));
+        materialPanel.addEventListener('focusin', () => showHighlight(true));
+        materialPanel.addEventListener('focusout', (e) => showHighlight(materialPanel.contains(e.relatedTarget) || materialPanel.matches(':hover')));
+
+        // Reduced motion: no auto-rotate, no damping glide and no playing clips
+        this.onReducedMotionChange = () => {
+            const reduce = this.reducedMotion.matches;
+            this.controls.enableDamping = !reduce;
+            // Saved or linked auto-rotate stays off for as long as this holds
+            this.settings.setOverride('autorotate', reduce ? false : undefined);
+            if (reduce) this.animationPlayer.pause();
+        };
+        this.reducedMotion.addEventListener('change', this.onReducedMotionChange);
+        this.onReducedMotionChange();
 
-        const duration = 1000;
-        const startTime = performance.now();
+        this.root.getElementById('close-instructions').addEventListener('click', () => {
+            this.root.getElementById('instructions').classList.add('hidden');
+        });
 
-        const animate = () => {
-            const elapsed = performance.now() - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            const eased = 1 - Math.pow(1 - progress, 3);
+        // Export
+        this.root.getElementById('export-still').addEventListener('click', () => this.exportStill());
+        this.root.getElementById('export-turntable').addEventListener('click', () => this.exportTurntable());
 
-            this.camera.position.lerpVectors(startPos, targetPos, eased);
-            this.controls.target.lerpVectors(startLookAt, targetLookAt, eased);
-            this.controls.update();
+        // Annotations
+        this.root.getElementById('toggle-annotations').addEventListener('change', (e) => {
+            this.annotations.setVisible(e.target.checked);
+        });
 
-            if (progress < 1) {
-                requestAnimationFrame(animate);
+        this.root.getElementById('toggle-authoring').addEventListener('change', (e) => {
+            this.container.classList.toggle('authoring', e.target.checked);
+            if (e.target.checked) {
+                const measure = this.root.getElementById('toggle-measure');
+                if (measure.checked) {
+                    measure.checked = false;
+                    measure.dispatchEvent(new Event('change'));
+                }
+                this.root.getElementById('toggle-annotations').checked = true;
+                this.annotations.setVisible(true);
             }
-        };
+            this.showAnnotationEditor(this.annotations.activeIndex);
+        });
 
-        animate();
+        this.root.getElementById('annotation-title').addEventListener('input', (e) => {
+            const index = parseInt(this.root.getElementById('annotation-editor').dataset.index, 10);
+            this.annotations.edit(index, { title: e.target.value });
+        });
+
+        // A hotspot needs a title: an emptied one gets its number back
+        this.root.getElementById('annotation-title').addEventListener('change', (e) => {
+            if (e.target.value.trim()) return;
+            const index = parseInt(this.root.getElementById('annotation-editor').dataset.index, 10);
+            e.target.value = `Note ${index + 1}`;
+            this.annotations.edit(index, { title: e.target.value });
+        });
+
+        this.root.getElementById('annotation-body').addEventListener('input', (e) => {
+            const index = parseInt(this.root.getElementById('annotation-editor').dataset.index, 10);
+            this.annotations.edit(index, { body: e.target.value });
+        });
+
+        this.root.getElementById('annotation-delete').addEventListener('click', () => {
+            const index = parseInt(this.root.getElementById('annotation-editor').dataset.index, 10);
+            this.annotations.remove(index);
+            this.showAnnotationEditor(-1);
+        });
+
+        this.root.getElementById('annotation-export').addEventListener('click', () => {
+            this.exportAnnotations();
+        });
+
+        // Measurement
+        this.root.getElementById('toggle-dimensions').addEventListener('change', (e) => {
+            this.measureTool.setDimensionsVisible(e.target.checked);
+        });
+
+        this.root.getElementById('toggle-measure').addEventListener('change', (e) => {
+            this.container.classList.toggle('measuring', e.target.checked);
+            if (e.target.checked) {
+                // One click tool at a time
+                const authoring = this.root.getElementById('toggle-authoring');
+                if (authoring.checked) {
+                    authoring.checked = false;
+                    authoring.dispatchEvent(new Event('change'));
+                }
+            }
+        });
+
+        this.root.getElementById('measure-units').addEventListener('change', (e) => {
+            this.measureTool.setUnit(e.target.value);
+            this.updateMeasureReadout();
+        });
+
+        this.root.getElementById('measure-clear').addEventListener('click', () => {
+            this.measureTool.clearMeasurements();
+            this.updateMeasureReadout();
+        });
+
+        // Section planes: the gizmo follows the last plane touched
+        const gizmoMode = this.root.getElementById('section-gizmo');
+        let activePlane = -1;
+        const setActivePlane = (index) => {
+            activePlane = index;
+            this.root.querySelectorAll('.section-plane').forEach((row, i) => row.classList.toggle('active', i === index));
+            this.clipping.setGizmo(gizmoMode.value === 'off' ? -1 : index, gizmoMode.value);
+        };
+
+        this.clipping.planes.forEach(({ axis }, index) => {
+            const offset = this.root.getElementById(`section-${axis}-offset`);
+            const flip = this.root.getElementById(`section-${axis}-flip`);
+
+            this.root.getElementById(`section-${axis}`).addEventListener('change', (e) => {
+                this.clipping.setEnabled(index, e.target.checked);
+                offset.disabled = !e.target.checked;
+                flip.disabled = !e.target.checked;
+                setActivePlane(e.target.checked ? index : this.clipping.planes.findIndex(plane => plane.enabled));
+            });
+
+            offset.addEventListener('input', (e) => {
+                this.clipping.setOffset(index, parseFloat(e.target.value));
+                if (activePlane !== index) setActivePlane(index);
+            });
+
+            flip.addEventListener('click', () => {
+                this.clipping.setFlipped(index, !this.clipping.planes[index].flipped);
+                if (activePlane !== index) setActivePlane(index);
+            });
+        });
+
+        gizmoMode.addEventListener('change', () => setActivePlane(activePlane));
+
+        this.root.getElementById('section-cap-color').addEventListener('input', (e) => {
+            this.clipping.setCapColor(e.target.value);
+        });
+
+        // Variants (buttons are rebuilt per model)
+        this.root.getElementById('variant-list').addEventListener('click', (e) => {
+            const button = e.target.closest('.variant-btn');
+            if (button) this.setVariant(button.dataset.variant);
+        });
+
+        // Model animations
+        this.root.getElementById('animation-clip').addEventListener('change', (e) => {
+            this.animationPlayer.select(parseInt(e.target.value, 10));
+            if (!this.reducedMotion.matches) this.animationPlayer.play();
+        });
+        this.root.getElementById('animation-play').addEventListener('click', () => this.toggleAnimation());
+        this.root.getElementById('animation-scrub').addEventListener('input', (e) => {
+            this.animationPlayer.seek((parseInt(e.target.value, 10) / 1000) * this.animationPlayer.duration);
+        });
+        this.root.getElementById('animation-speed').addEventListener('input', (e) => {
+            this.animationPlayer.setSpeed(parseFloat(e.target.value));
+        });
+        this.root.getElementById('animation-loop').addEventListener('change', (e) => {
+            this.animationPlayer.setLoop(e.target.checked);
+        });
+
+        // Camera tours
+        this.root.getElementById('tour-select').addEventListener('change', () => {
+            this.tourPlayer.stop();
+            this.refreshTourList();
+        });
+        this.root.getElementById('tour-play').addEventListener('click', () => this.toggleTour());
+        this.root.getElementById('tour-stop').addEventListener('click', () => this.tourPlayer.stop());
+        this.root.getElementById('tour-scrub').addEventListener('input', (e) => {
+            if (!this.ensureTourLoaded()) return;
+            this.tourPlayer.seek((parseInt(e.target.value, 10) / 1000) * this.tourPlayer.tour.duration);
+        });
+        this.root.getElementById('tour-add-keyframe').addEventListener('click', () => this.recordTourKeyframe());
+        this.root.getElementById('tour-clear').addEventListener('click', () => this.clearRecordedTour());
+        this.root.getElementById('tour-export').addEventListener('click', () => this.exportTours());
+
+        // A/B compare
+        const divider = this.root.getElementById('compare-divider');
+        const placeDivider = () => {
+            divider.style.left = `${this.compare.divider * 100}%`;
+        };
+
+        this.root.getElementById('toggle-compare').addEventListener('change', async (e) => {
+            divider.hidden = !e.target.checked;
+            if (e.target.checked) {
+                this.root.getElementById('compare-exposure').value = this.renderer.toneMappingExposure;
+                this.root.getElementById('compare-light').value = 1;
+                this.root.getElementById('compare-env-intensity').value = this.environment.intensity;
+                placeDivider();
+                try {
+                    await this.compare.enable();
+                } catch (error) {
+                    console.error('❌ Compare model failed:', error);
+                    this.showNotice(`Side B could not be loaded: ${error.message}`, 'error');
+                }
+            } else {
+                this.setCompareEditSide('a');
+                this.root.getElementById('compare-share-camera').checked = true;
+                this.compare.disable();
+            }
+        });
+
+        this.root.getElementById('compare-model').addEventListener('change', async (e) => {
+            this.setCompareEditSide('a');
+            if (!this.compare.enabled) {
+                this.compare.b.modelKey = e.target.value || null;
+                return;
+            }
+            try {
+                await this.compare.setModel(e.target.value || null);
+            } catch (error) {
+                console.error('❌ Compare model failed:', error);
+                this.showNotice(`Side B could not be loaded: ${error.message}`, 'error');
+            }
+        });
+
+        this.root.getElementById('compare-layout').addEventListener('change', (e) => {
+            this.compare.setLayout(e.target.value);
+        });
+
+        this.root.getElementById('compare-share-camera').addEventListener('change', (e) => {
+            this.compare.setShareCamera(e.target.checked);
+        });
+
+        this.root.getElementById('compare-edit').addEventListener('change', (e) => {
+            this.setCompareEditSide(e.target.value);
+        });
+
+        this.root.getElementById('compare-exposure').addEventListener('input', (e) => {
+            this.compare.setExposure(parseFloat(e.target.value));
+        });
+
+        this.root.getElementById('compare-light').addEventListener('input', (e) => {
+            this.compare.setLightScale(parseFloat(e.target.value));
+        });
+
+        this.root.getElementById('compare-env-intensity').addEventListener('input', (e) => {
+            this.compare.setEnvironmentIntensity(parseFloat(e.target.value));
+        });
+
+        const handle = divider.querySelector('.compare-handle');
+        handle.addEventListener('pointerdown', (e) => {
+            handle.setPointerCapture(e.pointerId);
+        });
+        handle.addEventListener('pointermove', (e) => {
+            if (!handle.hasPointerCapture(e.pointerId)) return;
+            const rect = this.container.getBoundingClientRect();
+            this.compare.setDivider((e.clientX - rect.left) / rect.width);
+            placeDivider();
+            this.invalidate();
+        });
+
+        // With separate cameras, orbiting drives the side under the pointer.
+        // Capture phase, so the switch happens before OrbitControls sees it
+        const pickCompareSide = (e) => {
+            if (this.compare.enabled && !this.compare.shareCamera) {
+                this.compare.useCamera(this.compare.sideAt(e.clientX));
+            }
+        };
+        this.container.addEventListener('pointerdown', pickCompareSide, true);
+        this.container.addEventListener('wheel', pickCompareSide, true);
+
+        // A click (not a drag) on the canvas goes to the active click tool
+        const pointerDown = new THREE.Vector2();
+        this.renderer.domElement.addEventListener('pointerdown', (e) => {
+            pointerDown.set(e.clientX, e.clientY);
+        });
+        this.renderer.domElement.addEventListener('pointerup', (e) => {
+            if (pointerDown.distanceTo(new THREE.Vector2(e.clientX, e.clientY)) > 4) return;
+            // A click on the section or light gizmo
+            if (this.clipping.gizmo.axis || this.lighting.gizmo.axis) return;
+
+            const rect = this.renderer.domElement.getBoundingClientRect();
+            const ndc = new THREE.Vector2(
+                ((e.clientX - rect.left) / rect.width) * 2 - 1,
+                -((e.clientY - rect.top) / rect.height) * 2 + 1
+            );
+            this.handleCanvasClick(ndc);
+        });
+
+        this.renderer.domElement.addEventListener('dblclick', () => {
+            this.setCameraPreset('front');
+        });
     }
 
-    toggleQuality() {
-        const qualities = ['ultra', 'high', 'medium'];
-        const currentIndex = qualities.indexOf(this.quality);
-        const nextIndex = (currentIndex + 1) % qualities.length;
-        this.quality = qualities[nextIndex];
-
-        const btn = document.querySelector('#quality-btn span');
-        btn.textContent = this.quality.charAt(0).toUpperCase() + this.quality.slice(1);
-
-        switch (this.quality) {
-            case 'ultra':
-                this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-                this.renderer.shadowMap.enabled = true;
-                this.ssaoPass.enabled = true;
-                this.bloomPass.enabled = true;
+    // ===== KEYBOARD =====
+
+    setupKeyboard() {
+        const canvas = this.renderer.domElement;
+
+        // The controls card lists every shortcut
+        const list = this.root.getElementById('shortcut-list');
+        SHORTCUTS.forEach(({ key, description }) => {
+            const item = document.createElement('li');
+            const kbd = document.createElement('kbd');
+            kbd.textContent = key.toUpperCase();
+            item.append(kbd, ` ${description}`);
+            list.appendChild(item);
+        });
+
+        // Orbit and zoom while the canvas has focus
+        canvas.addEventListener('keydown', (e) => {
+            const step = findOrbitStep(e);
+            if (!step || this.xr.presenting) return;
+            e.preventDefault(); // arrow keys would scroll the page
+            e.stopPropagation();
+
+            this.stopCameraAnimation();
+            orbitCamera(this.camera, this.controls, step);
+            this.controls.update();
+            this.scheduleUrlUpdate();
+        });
+
+        // Anywhere inside the viewer (another viewer on the page has its own)
+        this.onRootKeydown = (e) => {
+            const shortcut = findShortcut(e);
+            if (!shortcut) return;
+            e.preventDefault();
+            this.runShortcut(shortcut);
+        };
+        this.root.addEventListener('keydown', this.onRootKeydown);
+    }
+
+    // Shortcuts go through the same controls a click would
+    runShortcut({ action, value }) {
+        switch (action) {
+            case 'preset':
+                this.root.querySelector(`.preset-btn[data-preset="${value}"]`).click();
+                break;
+            case 'model': {
+                const select = this.root.getElementById('model-select');
+                const count = select.options.length;
+                select.selectedIndex = (select.selectedIndex + value + count) % count;
+                this.announce(`Loading ${select.options[select.selectedIndex].textContent}`);
+                select.dispatchEvent(new Event('change'));
                 break;
-            case 'high':
-                this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 1.5));
-                this.renderer.shadowMap.enabled = true;
-                this.ssaoPass.enabled = true;
-                this.bloomPass.enabled = false;
+            }
+            case 'toggle': {
+                const input = this.root.getElementById(value);
+                if (input.disabled) return;
+                input.checked = !input.checked;
+                input.dispatchEvent(new Event('change', { bubbles: true }));
+                const label = input.closest('label').querySelector('.label-text').textContent;
+                this.announce(`${label} ${input.checked ? 'on' : 'off'}`);
+                break;
+            }
+            case 'reset':
+                this.setCameraPreset('front');
+                this.announce('Camera reset');
+                break;
+            case 'help':
+                this.root.getElementById('instructions').classList.toggle('hidden');
                 break;
-            case 'medium':
-                this.renderer.setPixelRatio(1);
-                this.renderer.shadowMap.enabled = false;
-                this.ssaoPass.enabled = false;
-                this.bloomPass.enabled = false;
+            default:
                 break;
         }
+    }
+
+    // Screen readers read this out without moving focus
+    announce(message) {
+        const region = this.root.getElementById('viewer-announcer');
+        // Clearing first makes a repeated message count as a change
+        region.textContent = '';
+        requestAnimationFrame(() => {
+            region.textContent = message;
+        });
+    }
+
+    // Points the material panel at one side of the compare view
+    setCompareEditSide(side) {
+        const model = side === 'b' && this.compare.enabled ? this.compare.b.model : this.model;
+        this.root.getElementById('compare-edit').value = model === this.model ? 'a' : 'b';
+        if (!model) return;
+
+        this.materialInspector.setModel(model);
+        this.refreshMaterialPanel();
+    }
+
+    refreshMaterialPanel() {
+        const select = this.root.getElementById('material-select');
+        select.innerHTML = '';
+
+        this.materialInspector.entries.forEach((entry, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = entry.sharedBy > 1 ? `${entry.label} (shared ×${entry.sharedBy})` : entry.label;
+            select.appendChild(option);
+        });
+
+        this.syncMaterialControls();
+    }
+
+    // Re-reads the selected material so every control shows its real values
+    syncMaterialControls() {
+        const inspector = this.materialInspector;
+        const material = inspector.selectedMaterial;
+        const isStandard = Boolean(material && material.isMeshStandardMaterial);
+
+        this.root.getElementById('material-select').value = inspector.selectedIndex;
+
+        const setControl = (id, value, enabled) => {
+            const input = this.root.getElementById(id);
+            input.disabled = !enabled;
+            if (enabled) input.value = value;
+        };
+
+        setControl('roughness', isStandard && material.roughness, isStandard);
+        setControl('metalness', isStandard && material.metalness, isStandard);
+        setControl('normal-strength', material && material.normalMap && material.normalScale.x, Boolean(material && material.normalMap));
+        setControl('env-map-intensity', isStandard && material.envMapIntensity, isStandard);
+        setControl('material-color', material && material.color && `#${material.color.getHexString()}`, Boolean(material && material.color));
+        setControl('material-emissive', material && material.emissive && `#${material.emissive.getHexString()}`, Boolean(material && material.emissive));
+        setControl('emissive-intensity', material && material.emissive && material.emissiveIntensity, Boolean(material && material.emissive));
+
+        const slots = this.root.getElementById('texture-slots');
+        slots.innerHTML = '';
+        if (!material) return;
+
+        TEXTURE_SLOTS.filter(({ key }) => inspector.hasTexture(material, key)).forEach(({ key, label }) => {
+            const toggle = document.createElement('label');
+            toggle.className = 'toggle-switch';
+            toggle.innerHTML = `
+                <input type="checkbox" role="switch" data-slot="${key}">
+                <span class="slider"></span>
+                <span class="label-text">${label}</span>`;
+            toggle.querySelector('input').checked = inspector.isTextureEnabled(material, key);
+            slots.appendChild(toggle);
+        });
+
+        if (!slots.children.length) {
+            slots.innerHTML = '<span class="empty-note">No textures</span>';
+        }
+    }
+
+    // Returns false when the model has no such preset
+    setCameraPreset(presetName) {
+        const config = this.modelConfigs[this.currentModelKey];
+        const preset = config.cameraPresets[presetName];
+        if (!preset) return false;
+
+        this.animateCameraTo(
+            new THREE.Vector3(...preset.position),
+            new THREE.Vector3(...preset.target)
+        );
+        return true;
+    }
+
+    // For the page (see src/gallery-viewer.js), so not saved as the visitor's choice
+    setExposure(exposure) {
+        this.settings.set({ exposure }, { save: false });
+    }
+
+    animateCameraTo(targetPos, targetLookAt, duration = 1000) {
+        // Reduced motion: cut straight to the new view
+        if (this.reducedMotion.matches) duration = 0;
+        this.tourPlayer.stop();
+        const startPos = this.camera.position.clone();
+        const startLookAt = this.controls.target.clone();
+
+        const startTime = performance.now();
+        const token = ++this.cameraAnimationToken;
+
+        const animate = () => {
+            // A newer animation, a restored link or the user took over
+            if (token !== this.cameraAnimationToken) return;
+
+            const elapsed = performance.now() - startTime;
+            const progress = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
+            const eased = 1 - Math.pow(1 - progress, 3);
+
+            this.camera.position.lerpVectors(startPos, targetPos, eased);
+            this.controls.target.lerpVectors(startLookAt, targetLookAt, eased);
+            this.controls.update();
+
+            if (progress < 1) {
+                requestAnimationFrame(animate);
+            } else {
+                this.scheduleUrlUpdate();
+            }
+        };
+
+        animate();
+    }
+
+    stopCameraAnimation() {
+        this.cameraAnimationToken++;
+        this.tourPlayer.stop();
+    }
+
+    flyToAnnotation(position, normal) {
+        // Look at the hotspot head-on from a distance relative to the model size
+        const config = this.modelConfigs[this.currentModelKey];
+        const distance = Math.max(this.controls.minDistance * 2, config.scale * 0.4);
+        const cameraPosition = position.clone().addScaledVector(normal, distance);
+
+        this.animateCameraTo(cameraPosition, position);
+    }
+
+    showAnnotationEditor(index) {
+        const editor = this.root.getElementById('annotation-editor');
+        const annotation = this.annotations.annotations[index];
+        const authoring = this.root.getElementById('toggle-authoring').checked;
+
+        editor.hidden = !(authoring && annotation);
+        editor.dataset.index = index;
+        if (!annotation) return;
+
+        this.root.getElementById('annotation-title').value = annotation.title;
+        this.root.getElementById('annotation-body').value = annotation.body || '';
+    }
+
+    handleCanvasClick(ndc) {
+        if (this.root.getElementById('toggle-measure').checked) {
+            this.measureTool.pick(ndc);
+            this.updateMeasureReadout();
+            return;
+        }
+
+        // Authoring: a click on the model drops a new hotspot
+        if (this.root.getElementById('toggle-authoring').checked) {
+            const hit = this.annotations.pick(ndc);
+            if (!hit) return;
+
+            const index = this.annotations.add({
+                ...hit,
+                title: `Note ${this.annotations.annotations.length + 1}`
+            });
+            this.showAnnotationEditor(index);
+            this.root.getElementById('annotation-title').select();
+        }
+    }
+
+    updateMeasureReadout() {
+        const unit = this.measureTool.unit;
+        const dimensions = this.measureTool.getDimensions();
+        this.root.getElementById('dimensions-readout').textContent = dimensions ?
+            `${formatLength(dimensions.width, unit)} × ${formatLength(dimensions.depth, unit)} × ${formatLength(dimensions.height, unit)}` :
+            '-';
+
+        const last = this.measureTool.measurements[this.measureTool.measurements.length - 1];
+        this.root.getElementById('distance-readout').textContent = this.measureTool.pendingPoint ?
+            'Pick the second point…' :
+            (last ? formatLength(this.measureTool.distanceOf(last), unit) : '-');
+    }
+
+    exportAnnotations() {
+        const json = JSON.stringify(this.annotations.toJSON(), null, 4);
+        const blob = new Blob([json], { type: 'application/json' });
+        downloadBlob(blob, `${this.currentModelKey}-annotations.json`);
+
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(json).catch(() => { /* download is enough */ });
+        }
+        this.showNotice(`${this.annotations.annotations.length} annotations exported (also copied to the clipboard).`, 'info', 4000);
+    }
+
+    toggleQuality() {
+        const currentIndex = QUALITY_MODES.indexOf(this.quality);
+        const nextIndex = (currentIndex + 1) % QUALITY_MODES.length;
+        this.setQuality(QUALITY_MODES[nextIndex]);
+    }
+
+    setQuality(quality) {
+        this.settings.set({ quality });
+    }
+
+    // 'auto' hands the tier to the governor, anything else pins it
+    applyQuality(quality) {
+        this.quality = quality;
+
+        if (quality === 'auto') {
+            this.governor.restartWindow();
+            this.applyQualityTier(this.governor.tier);
+        } else {
+            this.applyQualityTier(getTier(quality));
+        }
+    }
+
+    applyQualityTier(tier) {
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, tier.pixelRatio));
+
+        this.lighting.setShadowMapSize(tier.shadowMapSize);
+        this.useDirectRendering = tier.direct;
+
+        // Each tier comes with its effects (the checkboxes follow via the store)
+        this.settings.set({ ssao: tier.ssao, bloom: tier.bloom, shadows: tier.shadows }, { save: false });
+
+        const label = tier.name.charAt(0).toUpperCase() + tier.name.slice(1);
+        const btn = this.root.getElementById('quality-btn');
+        btn.querySelector('span').textContent = this.quality === 'auto' ? `Auto · ${label}` : label;
+        btn.title = this.quality === 'auto' ?
+            `Automatic quality (currently ${tier.name}) - click for a fixed tier` :
+            'Toggle Quality';
+
+        this.onResize();
+    }
+
+    // ===== SETTINGS =====
+
+    // The store, with anything the link or the element asks for on top
+    setupSettings() {
+        this.settings = new SettingsStore({
+            defaults: { environment: this.manifest.defaultEnvironment },
+            storageKey: this.settingsStorageKey()
+        });
+        // Before anything is applied (see setupEventListeners for changes)
+        if (this.reducedMotion.matches) this.settings.setOverride('autorotate', false);
+
+        // Saved values this manifest (or this version) doesn't offer
+        const valid = {
+            environment: key => key in this.manifest.environments,
+            background: mode => BACKGROUND_MODES.includes(mode),
+            quality: quality => QUALITY_MODES.includes(quality)
+        };
+        Object.entries(valid).forEach(([key, isValid]) => {
+            if (!isValid(this.settings.get(key))) {
+                this.settings.set({ [key]: this.settings.defaults[key] }, { save: false });
+            }
+        });
+
+        const linkedEnvironment = [this.initialState.environment, this.requestedEnvironment]
+            .find(key => valid.environment(key));
+        if (linkedEnvironment) this.settings.set({ environment: linkedEnvironment }, { save: false });
+    }
+
+    // Panels write to the store; the store drives scene and panels
+    bindSettings() {
+        Object.entries(SETTING_CONTROLS).forEach(([key, id]) => {
+            const input = this.root.getElementById(id);
+            const isRange = input.type === 'range';
+            input.addEventListener(isRange ? 'input' : 'change', () => {
+                let value = input.value;
+                if (input.type === 'checkbox') value = input.checked;
+                else if (isRange) value = parseFloat(input.value);
+                this.settings.set({ [key]: value });
+                // An override (reduced motion) can keep the old value
+                this.syncSettingControl(key);
+            });
+        });
+
+        this.root.getElementById('settings-reset').addEventListener('click', () => this.resetSettings());
+
+        this.settings.subscribe(changes => this.applySettings(changes));
+        this.applySettings(this.settings.values);
+    }
+
+    /**
+     * Puts changed settings into effect and shows them in their controls.
+     * Values are read back from the store: applying the quality tier can
+     * change the effects in the middle of a batch.
+     */
+    applySettings(changes) {
+        const settings = this.settings;
+
+        Object.keys(changes).forEach((key) => {
+            const value = settings.get(key);
+            switch (key) {
+                case 'exposure':
+                    this.renderer.toneMappingExposure = value;
+                    break;
+                case 'lightIntensity':
+                    this.lighting.setIntensityScale(value);
+                    break;
+                case 'lightRotation':
+                    this.updateLightRotation();
+                    break;
+                case 'environment':
+                    this.environmentLoad = this.loadEnvironment(value);
+                    break;
+                case 'environmentRotation':
+                    this.environment.setRotation(value);
+                    this.updateLightRotation();
+                    break;
+                case 'environmentIntensity':
+                    this.environment.setIntensity(value);
+                    break;
+                case 'background':
+                    this.environment.setBackgroundMode(value);
+                    break;
+                case 'quality':
+                    this.applyQuality(value);
+                    break;
+                case 'ssao':
+                    this.ssaoPass.enabled = value;
+                    break;
+                case 'bloom':
+                    this.bloomPass.enabled = value;
+                    break;
+                case 'shadows':
+                    this.renderer.shadowMap.enabled = value;
+                    this.lighting.setShadowsEnabled(value);
+                    break;
+                case 'autorotate':
+                    this.controls.autoRotate = value;
+                    break;
+                default:
+                    break;
+            }
+
+            this.syncSettingControl(key);
+        });
+
+        this.invalidate();
+    }
+
+    syncSettingControl(key) {
+        const id = SETTING_CONTROLS[key];
+        if (!id) return;
+        const input = this.root.getElementById(id);
+        if (input.type === 'checkbox') input.checked = this.settings.get(key);
+        else input.value = this.settings.get(key);
+    }
+
+    /**
+     * Where the visitor's settings are saved: one entry per gallery, so
+     * viewers of different galleries on a page (or a site) don't share
+     * them. Inline manifests go by the page. The settings-key attribute
+     * names the entry outright.
+     */
+    settingsStorageKey() {
+        if (this.settingsKey) return `gallery-viewer:settings:${this.settingsKey}`;
+
+        const source = this.manifestSource;
+        if (typeof source === 'string') return `gallery-viewer:settings:${new URL(source, window.location.href).href}`;
+        const page = `${window.location.origin}${window.location.pathname}`;
+        return `gallery-viewer:settings:${page}${source.id ? `#${source.id}` : ''}`;
+    }
+
+    // Forgets every saved setting; the effects follow the quality tier again
+    resetSettings() {
+        this.settings.reset();
+        this.applyQuality(this.settings.get('quality'));
+        this.scheduleUrlUpdate();
+        this.showNotice('Settings reset to defaults.', 'info', 3000);
+    }
+
+    // ===== VARIANTS =====
+
+    // One button per variant; the panel hides for models without any
+    refreshVariantPanel() {
+        const panel = this.root.getElementById('variant-panel');
+        const list = this.root.getElementById('variant-list');
+        const variants = this.variants ? this.variants.list : [];
+        list.innerHTML = '';
+        panel.hidden = !variants.length;
+        if (!variants.length) return;
+
+        [{ key: ORIGINAL_VARIANT, title: 'Original' }, ...variants].forEach(({ key, title }) => {
+            const button = document.createElement('button');
+            button.className = 'glass-btn variant-btn';
+            button.dataset.variant = key;
+            button.textContent = title;
+            list.appendChild(button);
+        });
+        this.updateVariantButtons();
+    }
+
+    updateVariantButtons() {
+        this.root.querySelectorAll('.variant-btn').forEach((button) => {
+            const active = Boolean(this.variants) && button.dataset.variant === this.variants.active;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active);
+        });
+    }
+
+    /**
+     * Swaps the model's materials to another variant in place; the
+     * material panel, section planes and a compare copy follow.
+     */
+    async setVariant(key) {
+        const variants = this.variants;
+        if (!variants || !variants.has(key) || key === variants.active) return;
+
+        let applied;
+        try {
+            applied = await variants.apply(key);
+        } catch (error) {
+            console.error(`❌ Variant "${key}" failed:`, error);
+            this.showNotice(`Variant could not be loaded: ${error.message}`, 'error');
+            return;
+        }
+        if (!applied || variants !== this.variants) return;
+
+        // The inspector indexes materials, which just changed
+        const selected = this.materialInspector.selectedIndex;
+        this.materialInspector.setModel(this.model);
+        this.materialInspector.select(selected);
+        this.refreshMaterialPanel();
+        if (this.clipping.model) this.clipping.applyToMaterials();
+        this.refreshAssetIssues();
+        this.debugViews.refresh();
+        this.compare.onModelChanged();
+
+        this.updateVariantButtons();
+        this.scheduleUrlUpdate({ push: true });
+        this.invalidate();
+    }
+
+    // ===== ASSET QA =====
+
+    setViewMode(mode) {
+        this.debugViews.setMode(mode);
+        // Planes toggled during a debug view only reached its stand-ins
+        if (this.clipping.model) this.clipping.applyToMaterials();
+        this.root.getElementById('view-mode').value = this.debugViews.mode;
+        this.invalidate();
+    }
+
+    refreshAssetIssues() {
+        const list = this.root.getElementById('asset-issues');
+        const issues = this.model ? findAssetIssues(this.model) : [];
+        list.innerHTML = '';
+
+        if (!issues.length) {
+            const item = document.createElement('li');
+            item.textContent = 'No issues found';
+            list.appendChild(item);
+            return;
+        }
+        issues.forEach(({ name, problem }) => {
+            const item = document.createElement('li');
+            const strong = document.createElement('strong');
+            strong.textContent = name;
+            item.append(strong, ` · ${problem}`);
+            list.appendChild(item);
+        });
+    }
+
+    // ===== CAMERA TOURS =====
+
+    refreshTourList(selectKey = this.root.getElementById('tour-select').value) {
+        const select = this.root.getElementById('tour-select');
+        const tours = this.modelConfigs[this.currentModelKey].tours || {};
+        select.innerHTML = '';
+
+        Object.entries(tours).forEach(([key, tour]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = `${tour.title} (${tour.keyframes.length})`;
+            select.appendChild(option);
+        });
+        if (selectKey in tours) select.value = selectKey;
+
+        const playable = Boolean(tours[select.value] && tours[select.value].keyframes.length >= 2);
+        this.root.getElementById('tour-play').disabled = !playable;
+        this.root.getElementById('tour-scrub').disabled = !playable;
+    }
+
+    // Loads the selected tour into the player unless it is already there
+    ensureTourLoaded() {
+        if (this.tourPlayer.active) return true;
+
+        const tours = this.modelConfigs[this.currentModelKey].tours || {};
+        const tour = tours[this.root.getElementById('tour-select').value];
+        if (!tour || tour.keyframes.length < 2) return false;
+
+        this.cameraAnimationToken++; // a preset ease would fight the tour
+        this.tourPlayer.load(new CameraTour(tour));
+        return true;
+    }
+
+    toggleTour() {
+        if (this.tourPlayer.playing) {
+            this.tourPlayer.pause();
+        } else if (this.ensureTourLoaded()) {
+            this.tourPlayer.play();
+        }
+        this.updateTourUI(this.tourPlayer.time, this.tourPlayer.tour ? this.tourPlayer.tour.duration : 0);
+    }
+
+    updateTourUI(time, duration, pose) {
+        const playButton = this.root.getElementById('tour-play');
+        playButton.textContent = this.tourPlayer.playing ? 'Pause' : (this.tourPlayer.active && time > 0 ? 'Resume' : 'Play');
+
+        const scrub = this.root.getElementById('tour-scrub');
+        if (this.root.activeElement !== scrub) {
+            scrub.value = duration ? Math.round((time / duration) * 1000) : 0;
+        }
+
+        const caption = this.root.getElementById('tour-caption');
+        const text = pose ? pose.caption : '';
+        if (caption.textContent !== text) caption.textContent = text;
+        caption.hidden = !text;
+
+        // A finished tour leaves the view where it ended
+        if (pose && duration && time >= duration && !this.tourPlayer.playing) this.scheduleUrlUpdate();
+    }
+
+    // ===== ANIMATION =====
+
+    setupAnimation() {
+        this.animationPlayer = new AnimationPlayer({
+            onUpdate: (time, duration) => {
+                this.updateAnimationUI(time, duration);
+                this.invalidate();
+            }
+        });
+    }
+
+    refreshAnimationPanel() {
+        const panel = this.root.getElementById('animation-panel');
+        const select = this.root.getElementById('animation-clip');
+        const clips = this.animationPlayer.clips;
+        select.innerHTML = '';
+        panel.hidden = !clips.length;
+
+        clips.forEach((clip, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `${clip.name || `Clip ${index + 1}`} (${clip.duration.toFixed(1)} s)`;
+            select.appendChild(option);
+        });
+    }
+
+    toggleAnimation() {
+        if (this.animationPlayer.playing) {
+            this.animationPlayer.pause();
+        } else {
+            this.animationPlayer.play();
+        }
+    }
+
+    updateAnimationUI(time, duration) {
+        const player = this.animationPlayer;
+        const playButton = this.root.getElementById('animation-play');
+        playButton.textContent = player.playing ? 'Pause' : (time > 0 && time < duration ? 'Resume' : 'Play');
+        playButton.disabled = !duration;
+
+        const scrub = this.root.getElementById('animation-scrub');
+        if (this.root.activeElement !== scrub) {
+            scrub.value = duration ? Math.round((time / duration) * 1000) : 0;
+        }
+        this.root.getElementById('animation-time').textContent = `${time.toFixed(2)} / ${duration.toFixed(2)} s`;
+    }
+
+    // Appends the current view to the model's "recorded" tour
+    recordTourKeyframe() {
+        const config = this.modelConfigs[this.currentModelKey];
+        config.tours = config.tours || {};
+        const tour = config.tours.recorded || (config.tours.recorded = { title: 'Recorded tour', keyframes: [] });
+
+        const round = v => Math.round(v * 1000) / 1000;
+        const caption = this.root.getElementById('tour-keyframe-caption').value.trim();
+        const keyframe = {
+            position: this.camera.position.toArray().map(round),
+            target: this.controls.target.toArray().map(round),
+            fov: round(this.camera.fov),
+            duration: tour.keyframes.length ? 3 : 0,
+            dwell: Math.max(0, parseFloat(this.root.getElementById('tour-keyframe-dwell').value) || 0)
+        };
+        if (caption) keyframe.caption = caption;
+        tour.keyframes.push(keyframe);
+
+        this.tourPlayer.stop();
+        this.refreshTourList('recorded');
+        this.root.getElementById('tour-keyframe-caption').value = '';
+    }
+
+    clearRecordedTour() {
+        const config = this.modelConfigs[this.currentModelKey];
+        if (!config.tours || !config.tours.recorded) return;
+        this.tourPlayer.stop();
+        delete config.tours.recorded;
+        this.refreshTourList();
+    }
+
+    exportTours() {
+        const tours = this.modelConfigs[this.currentModelKey].tours || {};
+        const json = JSON.stringify(tours, null, 4);
+        downloadBlob(new Blob([json], { type: 'application/json' }), `${this.currentModelKey}-tours.json`);
+
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(json).catch(() => { /* download is enough */ });
+        }
+        this.showNotice(`${Object.keys(tours).length} tours exported (also copied to the clipboard).`, 'info', 4000);
+    }
+
+    // ===== SHAREABLE STATE =====
+
+    getState() {
+        const material = this.materialInspector.selectedMaterial;
+        const isStandard = Boolean(material && material.isMeshStandardMaterial);
+
+        return {
+            // Local files cannot be shared, so links to them keep the rest only
+            model: this.currentModelKey === 'local' ? undefined : this.currentModelKey,
+            lighting: this.lighting.presetKey || undefined,
+            variant: this.variants && this.variants.list.length ? this.variants.active : undefined,
+            cameraPosition: this.camera.position.toArray(),
+            cameraTarget: this.controls.target.toArray(),
+            exposure: this.settings.get('exposure'),
+            lightIntensity: this.settings.get('lightIntensity'),
+            lightRotation: this.settings.get('lightRotation'),
+            environment: this.settings.get('environment'),
+            environmentRotation: this.settings.get('environmentRotation'),
+            environmentIntensity: this.settings.get('environmentIntensity'),
+            background: this.settings.get('background'),
+            materialIndex: material ? this.materialInspector.selectedIndex : undefined,
+            roughness: isStandard ? material.roughness : undefined,
+            metalness: isStandard ? material.metalness : undefined,
+            normalStrength: material && material.normalMap ? material.normalScale.x : undefined,
+            effects: {
+                ssao: this.settings.get('ssao'),
+                bloom: this.settings.get('bloom'),
+                shadows: this.settings.get('shadows'),
+                autorotate: this.settings.get('autorotate')
+            },
+            quality: this.settings.get('quality')
+        };
+    }
+
+    /**
+     * Restores a (possibly partial) state. Values go through the UI controls'
+     * own listeners so panels and renderer always agree.
+     */
+    async applyState(state) {
+        this.applyingState = true;
+
+        const setInput = (id, value, eventType = 'input') => {
+            if (value === undefined) return;
+            const input = this.root.getElementById(id);
+            if (input.type === 'checkbox') input.checked = value;
+            else input.value = value;
+            input.dispatchEvent(new Event(eventType));
+        };
+
+        try {
+            if (state.model && state.model !== this.currentModelKey && state.model in this.modelConfigs) {
+                this.root.getElementById('model-select').value = state.model;
+                await this.loadModel(state.model).catch(() => { /* error card is showing */ });
+            }
+
+            // Before the material fields, which index the variant's materials
+            if (state.variant && this.variants) {
+                await this.variants.ready.catch(() => {});
+                await this.setVariant(state.variant);
+                if (this.disposed) return;
+            }
+
+            // A link's settings show, but don't replace the visitor's own
+            const settings = this.settings;
+            if (state.environment in this.manifest.environments && state.environment !== settings.get('environment')) {
+                settings.set({ environment: state.environment }, { save: false });
+                await this.environmentLoad;
+                if (this.disposed) return;
+            }
+
+            // The tier first: it brings its own effects, which the link may override
+            if (QUALITY_MODES.includes(state.quality)) {
+                settings.set({ quality: state.quality }, { save: false });
+            }
+
+            if (state.lighting in this.lightingPresets && state.lighting !== this.lighting.presetKey) {
+                this.setLightingPreset(state.lighting);
+            }
+            settings.set({
+                exposure: state.exposure,
+                lightIntensity: state.lightIntensity,
+                lightRotation: state.lightRotation,
+                environmentRotation: state.environmentRotation,
+                environmentIntensity: state.environmentIntensity,
+                background: BACKGROUND_MODES.includes(state.background) ? state.background : undefined
+            }, { save: false });
+
+            if (this.materialInspector.entries[state.materialIndex]) {
+                setInput('material-select', state.materialIndex, 'change');
+            }
+            setInput('roughness', state.roughness);
+            setInput('metalness', state.metalness);
+            setInput('normal-strength', state.normalStrength);
+
+            if (state.effects) {
+                settings.set({
+                    ssao: state.effects.ssao,
+                    bloom: state.effects.bloom,
+                    shadows: state.effects.shadows,
+                    autorotate: state.effects.autorotate
+                }, { save: false });
+            }
+
+            if (state.cameraPosition && state.cameraTarget) {
+                this.stopCameraAnimation();
+                this.camera.position.fromArray(state.cameraPosition);
+                this.controls.target.fromArray(state.cameraTarget);
+                this.controls.update();
+            }
+        } finally {
+            this.applyingState = false;
+        }
+    }
+
+    setupUrlSync() {
+        if (!this.urlState) {
+            this.root.getElementById('share-btn').hidden = true;
+            return;
+        }
+
+        // Any panel edit or camera move refreshes the link (debounced)
+        const ui = this.root.querySelector('.ui-container');
+        ui.addEventListener('input', () => this.scheduleUrlUpdate());
+        ui.addEventListener('change', () => this.scheduleUrlUpdate());
+        this.controls.addEventListener('end', () => this.scheduleUrlUpdate());
+
+        // Back/forward (and hand-edited hashes)
+        this.onPopState = () => {
+            this.applyState(decodeState(window.location.hash)).catch((error) => {
+                console.error('❌ Could not restore the view from history:', error);
+            });
+        };
+        window.addEventListener('popstate', this.onPopState);
 
-        this.onWindowResize();
+        this.root.getElementById('share-btn').addEventListener('click', () => this.copyShareLink());
+
+        this.writeUrlState();
+    }
+
+    /**
+     * Discrete changes (model switch, preset) push a history entry so back
+     * and forward step through them; continuous edits replace the current one.
+     */
+    scheduleUrlUpdate({ push = false } = {}) {
+        if (this.applyingState || !this.urlState) return;
+        if (push) this.urlPushPending = true;
+
+        clearTimeout(this.urlUpdateTimer);
+        this.urlUpdateTimer = setTimeout(() => this.writeUrlState(), 300);
+    }
+
+    writeUrlState() {
+        clearTimeout(this.urlUpdateTimer);
+        const push = this.urlPushPending;
+        this.urlPushPending = false;
+
+        const hash = `#${encodeState(this.getState())}`;
+        if (hash === window.location.hash) return;
+
+        if (push) history.pushState(null, '', hash);
+        else history.replaceState(null, '', hash);
+    }
+
+    async copyShareLink() {
+        this.writeUrlState();
+
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            this.showNotice('Link to this view copied to the clipboard.', 'info', 3000);
+        } catch (error) {
+            console.warn('⚠️ Clipboard unavailable:', error);
+            this.showNotice(`Copy this link: ${window.location.href}`, 'info', 0);
+        }
+    }
+
+    // Size of the canvas container in CSS pixels (at least 1×1, even while hidden)
+    getViewSize() {
+        return [Math.max(1, this.container.clientWidth), Math.max(1, this.container.clientHeight)];
     }
 
-    onWindowResize() {
-        this.camera.aspect = window.innerWidth / window.innerHeight;
+    onResize() {
+        // Exports and XR sessions own the drawing buffer size meanwhile
+        if (this.exporting || this.xr.presenting) return;
+        this.setRenderSize(...this.getViewSize());
+    }
+
+    // updateStyle=false keeps the on-screen canvas size (offscreen exports)
+    setRenderSize(width, height, updateStyle = true) {
+        this.camera.aspect = width / height;
         this.camera.updateProjectionMatrix();
 
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.composer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.setSize(width, height, updateStyle);
+        this.composer.setSize(width, height);
 
         if (this.ssaoPass) {
-            this.ssaoPass.setSize(window.innerWidth, window.innerHeight);
+            this.ssaoPass.setSize(width, height);
+        }
+        this.invalidate();
+    }
+
+    // ===== EXPORT =====
+
+    getExportSize() {
+        const choice = this.root.getElementById('export-resolution').value;
+        if (choice === 'view-2x') {
+            const [width, height] = this.getViewSize();
+            return [width * 2, height * 2];
+        }
+        return EXPORT_RESOLUTIONS[choice];
+    }
+
+    // PNG blob of the current view, by default at its size on screen
+    async screenshot({ width, height, transparent = false } = {}) {
+        if (this.exporter.busy) throw new Error('An export is already running');
+        const [viewWidth, viewHeight] = this.getViewSize();
+        return this.exporter.captureStill({ width: width || viewWidth, height: height || viewHeight, transparent });
+    }
+
+    async exportStill() {
+        if (this.exporter.busy) return;
+
+        const [width, height] = this.getExportSize();
+        const transparent = this.root.getElementById('export-transparent').checked;
+
+        try {
+            const blob = await this.exporter.captureStill({ width, height, transparent });
+            downloadBlob(blob, `${this.currentModelKey}-${width}x${height}.png`);
+            console.log(`📸 Exported ${width}×${height} still`);
+        } catch (error) {
+            console.error('❌ Still export failed:', error);
+            this.showNotice(`Export failed: ${error.message}`, 'error');
         }
     }
 
+    async exportTurntable() {
+        if (this.exporter.busy) {
+            this.exporter.cancel();
+            return;
+        }
+
+        const [width, height] = this.getExportSize();
+        const transparent = this.root.getElementById('export-transparent').checked;
+        const format = this.root.getElementById('turntable-format').value;
+        const frames = Math.max(2, parseInt(this.root.getElementById('turntable-frames').value, 10) || 120);
+        const button = this.root.getElementById('export-turntable');
+        const progressText = this.root.getElementById('export-progress');
+        const baseName = `${this.currentModelKey}-turntable`;
+
+        // PNG sequences go into a folder when the browser allows picking one,
+        // else into a single zip (browsers block a download per frame)
+        let directory = null;
+        if (format === 'png' && window.showDirectoryPicker) {
+            try {
+                directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+            } catch (error) {
+                return; // picker dismissed
+            }
+        }
+        const zip = format === 'png' && !directory ? new ZipWriter() : null;
+
+        const saveFrame = async (blob, index) => {
+            const name = `${baseName}-${String(index + 1).padStart(4, '0')}.png`;
+            if (directory) {
+                const file = await directory.getFileHandle(name, { create: true });
+                const writable = await file.createWritable();
+                await writable.write(blob);
+                await writable.close();
+            } else {
+                await zip.add(name, blob);
+            }
+        };
+
+        button.querySelector('span').textContent = 'Cancel';
+        try {
+            const video = await this.exporter.recordTurntable({
+                width,
+                height,
+                frames,
+                format,
+                transparent,
+                onFrame: saveFrame,
+                onProgress: (progress) => {
+                    progressText.textContent = `${Math.round(progress * 100)}%`;
+                }
+            });
+            if (video) downloadBlob(video, `${baseName}-${width}x${height}.webm`);
+            // A cancelled sequence still hands over the frames it has
+            if (zip && zip.entries.length) downloadBlob(zip.toBlob(), `${baseName}-${width}x${height}.zip`);
+            console.log(`🎞️ Turntable export ${this.exporter.cancelled ? 'cancelled' : 'finished'}`);
+        } catch (error) {
+            console.error('❌ Turntable export failed:', error);
+            this.showNotice(`Turntable export failed: ${error.message}`, 'error');
+        } finally {
+            button.querySelector('span').textContent = 'Record Turntable';
+            progressText.textContent = '';
+        }
+    }
+
+    renderFrame({ direct = false } = {}) {
+        this.renderer.info.reset();
+
+        // XR renders each eye itself; the composer can't follow it there
+        if (this.xr.presenting) {
+            this.renderer.render(this.scene, this.camera);
+            return;
+        }
+
+        // Transparent exports are cut-outs of the model (side A) filling the
+        // whole frame, so they skip the compare split; opaque stills and
+        // turntables keep it, capturing the frame as it is on screen. Debug
+        // views must not be tone mapped or post-processed.
+        if (direct || this.debugViews.active) {
+            this.renderer.render(this.scene, this.camera);
+            return;
+        }
+
+        if (this.compare.enabled) {
+            this.compare.render();
+            return;
+        }
+
+        // Use direct rendering for high-poly models (much faster)
+        if (this.useDirectRendering) {
+            this.renderer.render(this.scene, this.camera);
+        } else {
+            this.composer.render();
+        }
+    }
+
+    // ===== DIAGNOSTICS =====
+
+    setupDiagnostics() {
+        this.frameGraph = new FrameGraph(this.root.getElementById('frame-graph'));
+
+        const button = this.root.getElementById('diagnostics-btn');
+        button.addEventListener('click', () => this.setDiagnosticsOpen(!this.diagnosticsOpen));
+    }
+
+    setDiagnosticsOpen(open) {
+        this.diagnosticsOpen = open;
+        this.passTimer.enabled = open;
+        this.root.getElementById('diagnostics-panel').hidden = !open;
+        this.root.getElementById('diagnostics-btn').setAttribute('aria-expanded', open);
+
+        if (open) {
+            this.frameGraph.clear();
+            this.updateDiagnostics();
+            this.updateMeshTable();
+        }
+    }
+
+    // renderer.info, pass timings and texture memory; refreshed once a second
+    updateDiagnostics() {
+        const info = this.renderer.info;
+        this.fillInfoRows('renderer-info', [
+            ['Draw calls', info.render.calls],
+            ['Triangles drawn', info.render.triangles.toLocaleString()],
+            ['Geometries', info.memory.geometries],
+            ['Textures', info.memory.textures],
+            ['Shader programs', info.programs ? info.programs.length : '-']
+        ]);
+
+        // Direct rendering, compare and XR skip the composer, so its passes go idle
+        if (this.passTimer.supported) {
+            this.fillInfoRows('pass-timings', this.timedPasses.map(({ name, pass }) => {
+                const ms = this.passTimer.get(name);
+                return [name, ms !== null ? `${ms.toFixed(2)} ms` : (pass.enabled ? 'idle' : 'off')];
+            }));
+        } else {
+            this.fillInfoRows('pass-timings', [['Timer queries', 'not available']]);
+        }
+
+        const memory = estimateTextureMemory(this.scene);
+        this.fillInfoRows('texture-memory', [
+            ['Total', formatBytes(memory.total)],
+            ...memory.groups.map(group => [`${group.resolution} × ${group.count}`, formatBytes(group.bytes)])
+        ]);
+    }
+
+    updateMeshTable() {
+        const body = this.root.getElementById('mesh-table');
+        body.innerHTML = '';
+        if (!this.model) return;
+
+        describeMeshes(this.model).forEach((mesh) => {
+            const row = document.createElement('tr');
+            [mesh.name, mesh.triangles.toLocaleString(), mesh.drawCalls, mesh.textures].forEach((value) => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            row.firstChild.title = mesh.name;
+            body.appendChild(row);
+        });
+    }
+
+    // Replaces a panel's label/value rows
+    fillInfoRows(id, rows) {
+        const container = this.root.getElementById(id);
+        container.replaceChildren(...rows.map(([label, value]) => {
+            const row = document.createElement('div');
+            row.className = 'info-row';
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'info-label';
+            labelSpan.textContent = label;
+            const valueSpan = document.createElement('span');
+            valueSpan.className = 'info-value';
+            valueSpan.textContent = value;
+            row.append(labelSpan, valueSpan);
+            return row;
+        }));
+    }
+
     updateLoadingProgress(percent) {
-        const progressBar = document.querySelector('.progress-bar');
-        const percentageText = document.querySelector('.loading-percentage');
+        const progressBar = this.root.querySelector('.progress-bar');
+        const percentageText = this.root.querySelector('.loading-percentage');
 
         if (progressBar) progressBar.style.width = `${percent}%`;
         if (percentageText) percentageText.textContent = `${Math.round(percent)}%`;
     }
 
+    showLoadingError(message) {
+        const loadingScreen = this.root.getElementById('loading-screen');
+        loadingScreen.classList.add('error');
+        loadingScreen.querySelector('.loading-text').textContent = 'Gallery could not be loaded';
+        loadingScreen.querySelector('.loading-error').textContent = message;
+    }
+
+    showNotice(message, level = 'warning', duration = 8000) {
+        const notices = this.root.getElementById('viewer-notices');
+        const notice = document.createElement('div');
+        notice.className = `viewer-notice glass-panel ${level}`;
+        notice.textContent = message;
+
+        const close = document.createElement('button');
+        close.className = 'notice-close';
+        close.setAttribute('aria-label', 'Dismiss');
+        close.textContent = '×';
+        close.addEventListener('click', () => notice.remove());
+        notice.appendChild(close);
+
+        notices.appendChild(notice);
+        if (duration) setTimeout(() => notice.remove(), duration);
+    }
+
+    showModelLoading(text) {
+        const indicator = this.root.getElementById('model-loading');
+        indicator.querySelector('.model-loading-text').textContent = text;
+        indicator.hidden = false;
+    }
+
+    updateModelLoading(percent) {
+        this.root.querySelector('.model-loading-bar').style.width = `${percent}%`;
+    }
+
+    hideModelLoading() {
+        this.root.getElementById('model-loading').hidden = true;
+    }
+
+    showModelError(modelKey, error) {
+        const config = this.modelConfigs[modelKey];
+        const card = this.root.getElementById('model-error');
+        card.dataset.model = modelKey;
+        card.querySelector('h4').textContent = `${config.title} could not be loaded`;
+        card.querySelector('p').textContent =
+            `${error.message || error}. Check that the model file and the Draco decoders (${this.assets.draco}) are reachable.`;
+        card.hidden = false;
+
+        // The selector goes back to what is actually on screen
+        this.restoreModelSelection();
+        this.hideLoadingScreen();
+        this.emit('error', { model: modelKey, error });
+    }
+
+    hideModelError() {
+        this.root.getElementById('model-error').hidden = true;
+    }
+
+    async retryModelLoad() {
+        const modelKey = this.root.getElementById('model-error').dataset.model;
+        if (!(modelKey in this.modelConfigs)) return;
+
+        this.scheduleUrlUpdate({ push: true });
+        try {
+            await this.loadModel(modelKey);
+        } catch (error) {
+            // Still failing: the card is back up
+        }
+    }
+
+    // Events on the <gallery-viewer> element (documented in src/gallery-viewer.js)
+    emit(type, detail) {
+        if (this.host) this.host.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
     hideLoadingScreen() {
         setTimeout(() => {
-            document.getElementById('loading-screen').classList.add('hidden');
+            this.root.getElementById('loading-screen').classList.add('hidden');
         }, 500);
     }
 
@@ -730,37 +2850,167 @@ class PhotorealisticViewer {
         this.stats.frames++;
         const currentTime = performance.now();
 
+        // Frame time drives the automatic quality tier (the first frame
+        // after a pause has no previous one to measure from)
+        const frameTime = this.stats.lastFrame === null ? null : currentTime - this.stats.lastFrame;
+        this.stats.lastFrame = currentTime;
+        // (headsets pace their own frames, so XR sessions don't count)
+        if (frameTime !== null && this.quality === 'auto' && !this.xr.presenting) {
+            this.governor.sample(frameTime, currentTime);
+        }
+        if (frameTime !== null && this.diagnosticsOpen) {
+            this.frameGraph.push(frameTime);
+            this.frameGraph.draw();
+        }
+
         if (currentTime >= this.stats.lastTime + 1000) {
             this.stats.fps = Math.round((this.stats.frames * 1000) / (currentTime - this.stats.lastTime));
             this.stats.frames = 0;
             this.stats.lastTime = currentTime;
 
-            document.getElementById('fps').textContent = this.stats.fps;
-            document.getElementById('tris').textContent =
+            this.root.getElementById('fps').textContent = this.stats.fps;
+            this.root.getElementById('tris').textContent =
                 Math.round(this.stats.triangles).toLocaleString();
+            // Still the last frame's figures: renderFrame resets them
+            this.root.getElementById('draw-calls').textContent = this.renderer.info.render.calls;
+            if (this.diagnosticsOpen) this.updateDiagnostics();
         }
     }
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
+    /**
+     * Releases everything the viewer holds on the GPU and in workers: the
+     * model and cached models with their textures, the environment, the
+     * decoder worker pools and the renderer itself, and stops watching the
+     * element's size and the page history.
+     */
+    dispose() {
+        if (this.disposed) return;
+        this.disposed = true;
+        this.modelLoadToken++;
+
+        // Still starting up: init() stops at its next step (stopIfDisposed)
+        if (this.started) this.release();
+    }
 
-        this.controls.update();
-        this.updateStats();
+    release() {
+        this.renderLoopEnabled = false;
+        this.stopRenderLoop();
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+
+        this.disposeModel();
+        this.animationPlayer.dispose();
+        this.debugViews.dispose();
+        this.passTimer.dispose();
+        this.compare.dispose();
+        this.modelCache.clear();
+        this.measureTool.dispose();
+        this.clipping.dispose();
+        this.lighting.dispose();
+        this.xr.dispose();
+        this.environment.dispose();
+        if (this.platform) this.disposeObject(this.platform);
+        if (this.shadowCatcher) this.disposeObject(this.shadowCatcher);
+        clearTimeout(this.urlUpdateTimer);
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        if (this.onPopState) window.removeEventListener('popstate', this.onPopState);
+        if (this.onReducedMotionChange) this.reducedMotion.removeEventListener('change', this.onReducedMotionChange);
+        if (this.onRootInput) {
+            ['input', 'change', 'click'].forEach(type => this.root.removeEventListener(type, this.onRootInput, true));
+        }
+        if (this.onRootKeydown) this.root.removeEventListener('keydown', this.onRootKeydown);
 
-        // Use direct rendering for high-poly models (much faster)
-        if (this.useDirectRendering) {
-            this.renderer.render(this.scene, this.camera);
+        this.dracoLoader.dispose();
+        this.ktx2Loader.dispose();
+
+        this.controls.dispose();
+        this.composer.dispose();
+        this.renderer.dispose();
+        this.renderer.domElement.remove();
+    }
+
+    // ===== RENDER LOOP =====
+
+    setupRenderLoop() {
+        // A hidden tab draws nothing at all; coming back redraws once
+        this.onVisibilityChange = () => {
+            if (document.hidden) {
+                if (!this.xr.presenting) this.stopRenderLoop();
+            } else {
+                this.invalidate();
+            }
+        };
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+
+        this.renderLoopEnabled = true;
+        this.invalidate();
+    }
+
+    /**
+     * Marks the picture as out of date, waking the loop if it sleeps. Camera
+     * moves (OrbitControls 'change'), panel input, model and environment
+     * loads and gizmo drags all end up here.
+     */
+    invalidate() {
+        this.needsRender = true;
+        this.startRenderLoop();
+    }
+
+    startRenderLoop() {
+        if (this.renderLoopRunning || !this.renderLoopEnabled) return;
+        if (document.hidden && !this.xr.presenting) return; // picked up on visibilitychange
+
+        this.renderLoopRunning = true;
+        this.stats.frames = 0;
+        this.stats.lastTime = performance.now();
+        this.stats.lastFrame = null;
+        this.renderer.setAnimationLoop((time, frame) => this.animate(frame));
+    }
+
+    stopRenderLoop() {
+        if (!this.renderLoopRunning) return;
+        this.renderLoopRunning = false;
+        this.renderer.setAnimationLoop(null);
+        this.root.getElementById('fps').textContent = 'Idle';
+    }
+
+    animate(frame) {
+        // Exports drive the renderer themselves
+        if (this.exporting) {
+            this.stats.lastFrame = null; // no frame time across the export
+            return;
+        }
+
+        // Each step of a playing clip invalidates (see setupAnimation)
+        this.animationPlayer.update();
+
+        if (this.xr.presenting) {
+            // The headset owns the camera, and wants every frame
+            this.xr.update(frame);
+            this.needsRender = true;
         } else {
-            this.composer.render();
+            this.tourPlayer.update();
+            // Emits 'change' (and so invalidates) while damping or auto-rotating
+            this.controls.update();
+            // Tours animate the field of view too, which the controls don't notice
+            if (this.tourPlayer.playing) this.needsRender = true;
         }
-    }
-}
 
-// Initialize viewer
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        window.viewer = new PhotorealisticViewer();
-    });
-} else {
-    window.viewer = new PhotorealisticViewer();
+        // Nothing changed since the last frame: sleep until invalidate()
+        if (!this.needsRender) {
+            this.stopRenderLoop();
+            return;
+        }
+        this.needsRender = false;
+
+        this.updateStats();
+        // Don't sleep before the labels' occlusion caught up with the camera
+        if (this.annotations.updateLabels(this.container.clientWidth, this.container.clientHeight)) {
+            this.needsRender = true;
+        }
+        this.measureTool.update(this.container.clientWidth, this.container.clientHeight);
+        this.clipping.update();
+        if (this.diagnosticsOpen) this.passTimer.poll();
+
+        this.renderFrame();
+    }
 }
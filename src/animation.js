@@ -0,0 +1,155 @@
+import * as THREE from 'three';
+
+/**
+ * 🎞️ ANIMATION
+ * Plays the animations a glTF file ships with (gltf.animations), one clip
+ * at a time, through an AnimationMixer. Like the tour player it is driven
+ * from the viewer's render loop and keeps its own clock, so pause, speed
+ * and scrubbing only change what update() does.
+ */
+
+// Nodes a set of clips moves: they must keep updating their matrices
+export function findAnimatedNodes(root, clips) {
+    const nodes = new Set();
+    clips.forEach((clip) => {
+        clip.tracks.forEach((track) => {
+            const { nodeName } = THREE.PropertyBinding.parseTrackName(track.name);
+            const node = THREE.PropertyBinding.findNode(root, nodeName);
+            if (node) nodes.add(node);
+        });
+    });
+    return nodes;
+}
+
+export class AnimationPlayer {
+    constructor({ onUpdate }) {
+        this.onUpdate = onUpdate; // (time, duration) after every step
+
+        this.mixer = null;
+        this.root = null;
+        this.clips = [];
+        this.action = null;
+        this.playing = false;
+        this.loop = true;
+        this.speed = 1;
+        this.lastFrame = 0;
+
+        this.onFinished = () => {
+            this.playing = false;
+            this.notify();
+        };
+    }
+
+    get duration() {
+        return this.action ? this.action.getClip().duration : 0;
+    }
+
+    get time() {
+        return this.action ? this.action.time : 0;
+    }
+
+    /**
+     * Animates `root` with its clips and selects the first one, posed at
+     * its start. An empty list just clears the player.
+     */
+    setModel(root, clips = []) {
+        this.clear();
+        if (!clips.length) return;
+
+        this.root = root;
+        this.clips = clips;
+        this.mixer = new THREE.AnimationMixer(root);
+        this.mixer.timeScale = this.speed;
+        this.mixer.addEventListener('finished', this.onFinished);
+        this.select(0);
+    }
+
+    // Lets go of the model, leaving it in its current pose
+    clear() {
+        if (this.mixer) {
+            this.mixer.removeEventListener('finished', this.onFinished);
+            this.mixer.stopAllAction();
+            this.mixer.uncacheRoot(this.root);
+        }
+        this.mixer = null;
+        this.root = null;
+        this.clips = [];
+        this.action = null;
+        this.playing = false;
+        this.notify();
+    }
+
+    select(index) {
+        const clip = this.clips[index];
+        if (!clip || !this.mixer) return;
+
+        if (this.action) this.action.stop();
+        this.action = this.mixer.clipAction(clip);
+        this.action.clampWhenFinished = true; // a single run ends on its last pose
+        this.applyLoop();
+        this.action.play();
+        this.mixer.update(0);
+        this.notify();
+    }
+
+    play() {
+        if (!this.action) return;
+        // A finished single run starts over
+        if (!this.loop && this.action.time >= this.duration) this.action.reset();
+        this.action.paused = false;
+        this.playing = true;
+        this.lastFrame = performance.now();
+        this.notify();
+    }
+
+    pause() {
+        this.playing = false;
+        this.notify();
+    }
+
+    setLoop(loop) {
+        this.loop = loop;
+        if (this.action) this.applyLoop();
+        this.notify();
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        if (this.mixer) this.mixer.timeScale = speed;
+    }
+
+    // Jumps to `time` seconds (pauses playback)
+    seek(time) {
+        if (!this.action) return;
+        this.playing = false;
+        this.action.enabled = true;
+        this.action.paused = false;
+        this.action.time = THREE.MathUtils.clamp(time, 0, this.duration);
+        this.mixer.update(0);
+        this.notify();
+    }
+
+    // Call once per frame
+    update() {
+        if (!this.playing) return;
+
+        const now = performance.now();
+        // Clamp long gaps (background tab) so the clip doesn't skip ahead
+        this.mixer.update(Math.min(now - this.lastFrame, 100) / 1000);
+        this.lastFrame = now;
+        this.notify();
+    }
+
+    applyLoop() {
+        this.action.setLoop(this.loop ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+    }
+
+    notify() {
+        if (this.onUpdate) this.onUpdate(this.time, this.duration);
+    }
+
+    dispose() {
+        this.clear();
+        this.onUpdate = null;
+    }
+}
@@ -0,0 +1,208 @@
+import * as THREE from 'three';
+
+/**
+ * 📍 HOTSPOT ANNOTATIONS
+ * Curator notes anchored to a model's surface. Positions and normals are
+ * stored in the model's own (file) coordinates, so they stay put however
+ * loadModel scales and grounds the model. Labels are DOM elements projected
+ * from 3D every frame; they fade out when the surface faces away from the
+ * camera or something is in front of them.
+ */
+
+const OCCLUSION_INTERVAL = 150; // ms between occlusion raycasts
+const OCCLUSION_EPSILON = 0.01; // fraction of the camera distance
+
+export class AnnotationManager {
+    constructor({ camera, layer, onSelect }) {
+        this.camera = camera;
+        this.layer = layer;
+        this.onSelect = onSelect;
+
+        this.model = null;
+        this.annotations = [];
+        this.labels = [];
+        this.visible = true;
+        this.activeIndex = -1;
+
+        this.raycaster = new THREE.Raycaster();
+        this.lastOcclusionCheck = 0;
+        this.lastCameraMatrix = new THREE.Matrix4();
+
+        this._world = new THREE.Vector3();
+        this._normal = new THREE.Vector3();
+        this._toCamera = new THREE.Vector3();
+        this._projected = new THREE.Vector3();
+    }
+
+    setModel(model, annotations = []) {
+        this.model = model;
+        this.annotations = annotations.map(annotation => ({ ...annotation }));
+        this.activeIndex = -1;
+        this.rebuildLabels();
+    }
+
+    clear() {
+        this.model = null;
+        this.annotations = [];
+        this.activeIndex = -1;
+        this.rebuildLabels();
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        this.layer.classList.toggle('hidden', !visible);
+    }
+
+    rebuildLabels() {
+        this.layer.innerHTML = '';
+        this.labels = this.annotations.map((annotation, index) => {
+            const label = document.createElement('div');
+            label.className = 'hotspot';
+            label.innerHTML = `
+                <button class="hotspot-marker" aria-label="Annotation ${index + 1}"></button>
+                <div class="hotspot-card glass-panel">
+                    <h4></h4>
+                    <p></p>
+                </div>`;
+            label.querySelector('.hotspot-marker').textContent = index + 1;
+            label.querySelector('h4').textContent = annotation.title;
+            label.querySelector('p').textContent = annotation.body || '';
+            label.querySelector('.hotspot-marker').addEventListener('click', () => this.select(index));
+            label.classList.toggle('active', index === this.activeIndex);
+
+            this.layer.appendChild(label);
+            return { element: label, occluded: false };
+        });
+
+        // Force an occlusion pass on the next frame
+        this.lastOcclusionCheck = 0;
+    }
+
+    setActive(index) {
+        this.activeIndex = index;
+        this.labels.forEach((label, i) => label.element.classList.toggle('active', i === index));
+    }
+
+    // Activates a label and reports it (the viewer flies the camera there)
+    select(index) {
+        this.setActive(index);
+
+        const annotation = this.annotations[index];
+        if (annotation && this.onSelect) {
+            this.onSelect(index, this.getWorldPosition(annotation), this.getWorldNormal(annotation));
+        }
+    }
+
+    getWorldPosition(annotation, target = new THREE.Vector3()) {
+        return target.fromArray(annotation.position).applyMatrix4(this.model.matrixWorld);
+    }
+
+    getWorldNormal(annotation, target = new THREE.Vector3()) {
+        return target.fromArray(annotation.normal).transformDirection(this.model.matrixWorld);
+    }
+
+    /**
+     * Raycasts a click on the canvas against the model. Returns a new
+     * annotation in model coordinates, or null when the model was missed.
+     */
+    pick(ndc) {
+        if (!this.model) return null;
+
+        this.raycaster.setFromCamera(ndc, this.camera);
+        const hit = this.raycaster.intersectObject(this.model, true)[0];
+        if (!hit || !hit.face) return null;
+
+        const inverse = this.model.matrixWorld.clone().invert();
+        const position = hit.point.clone().applyMatrix4(inverse);
+        const normal = hit.face.normal.clone()
+            .transformDirection(hit.object.matrixWorld)
+            .transformDirection(inverse);
+
+        const round = v => Math.round(v * 10000) / 10000;
+        return {
+            position: position.toArray().map(round),
+            normal: normal.toArray().map(round)
+        };
+    }
+
+    add(annotation) {
+        this.annotations.push(annotation);
+        this.rebuildLabels();
+        this.setActive(this.annotations.length - 1);
+        return this.annotations.length - 1;
+    }
+
+    edit(index, changes) {
+        Object.assign(this.annotations[index], changes);
+        this.rebuildLabels();
+    }
+
+    remove(index) {
+        this.annotations.splice(index, 1);
+        if (this.activeIndex === index) this.activeIndex = -1;
+        else if (this.activeIndex > index) this.activeIndex--;
+        this.rebuildLabels();
+    }
+
+    // As the manifest takes them: a title is required, and an empty body is left out
+    toJSON() {
+        return this.annotations.map(({ position, normal, title, body }, index) => {
+            const annotation = { position, normal, title: title.trim() || `Note ${index + 1}` };
+            if (body && body.trim()) annotation.body = body.trim();
+            return annotation;
+        });
+    }
+
+    /**
+     * Projects every label to the screen. Call once per frame after the
+     * camera has been updated. Returns true while an occlusion check is
+     * still due for the current camera: keep drawing frames until it ran,
+     * or labels stay as the last check left them.
+     */
+    updateLabels(width, height) {
+        if (!this.model || !this.visible || !this.labels.length) return false;
+
+        const now = performance.now();
+        const cameraMoved = !this.lastCameraMatrix.equals(this.camera.matrixWorld);
+        const due = cameraMoved || this.lastOcclusionCheck === 0;
+        const checkOcclusion = due && now - this.lastOcclusionCheck > OCCLUSION_INTERVAL;
+        if (checkOcclusion) {
+            this.lastOcclusionCheck = now;
+            this.lastCameraMatrix.copy(this.camera.matrixWorld);
+        }
+
+        this.annotations.forEach((annotation, index) => {
+            const label = this.labels[index];
+            const world = this.getWorldPosition(annotation, this._world);
+
+            this._projected.copy(world).project(this.camera);
+            const behind = this._projected.z > 1;
+            const x = (this._projected.x * 0.5 + 0.5) * width;
+            const y = (-this._projected.y * 0.5 + 0.5) * height;
+            label.element.style.transform = `translate(${x}px, ${y}px)`;
+
+            if (checkOcclusion) {
+                label.occluded = behind || this.isOccluded(annotation, world);
+            }
+            label.element.classList.toggle('occluded', label.occluded);
+        });
+
+        return due && !checkOcclusion;
+    }
+
+    isOccluded(annotation, world) {
+        // Surface facing away from the camera
+        const normal = this.getWorldNormal(annotation, this._normal);
+        this._toCamera.copy(this.camera.position).sub(world);
+        const distance = this._toCamera.length();
+        if (normal.dot(this._toCamera) < 0) return true;
+
+        // Anything between the camera and the anchor point
+        this.raycaster.set(this.camera.position, this._toCamera.negate().normalize());
+        this.raycaster.far = distance;
+        const hit = this.raycaster.intersectObject(this.model, true)[0];
+        this.raycaster.far = Infinity;
+
+        return Boolean(hit && hit.distance < distance * (1 - OCCLUSION_EPSILON));
+    }
+}
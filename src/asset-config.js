@@ -0,0 +1,72 @@
+/**
+ * 📦 ASSET LOCATIONS
+ * Classic (non-module) script: it must run before any module so it can write
+ * the three.js import map. Everything the viewer fetches besides the gallery
+ * itself - three.js, the Draco and Basis decoders and the HDRIs - is resolved
+ * here.
+ *
+ * By default the public CDNs are used. For kiosks and air-gapped demos set
+ *   <meta name="gallery-asset-base" content="./vendor/">
+ * (or open the page with ?assetBase=./vendor/, which only takes relative or
+ * same-origin paths: the base decides which scripts run) and the viewer loads
+ *   <base>three/        a copy of the three npm package (build/ + examples/)
+ *   <base>three/examples/jsm/libs/draco/gltf/   Draco decoders (shipped with three)
+ *   <base>three/examples/jsm/libs/basis/        KTX2/Basis transcoder (ditto)
+ *   <base>hdri/         the .hdr environment maps
+ * Each location can also be set on its own with gallery-three-path,
+ * gallery-draco-path, gallery-basis-path and gallery-hdri-path meta tags.
+ */
+(function () {
+    const CDN = {
+        three: 'https://cdn.jsdelivr.net/npm/three@0.170.0/',
+        draco: 'https://www.gstatic.com/draco/v1/decoders/',
+        basis: 'https://cdn.jsdelivr.net/npm/three@0.170.0/examples/jsm/libs/basis/',
+        hdri: 'https://dl.polyhaven.org/file/ph-assets/HDRIs/hdr/1k/'
+    };
+
+    const meta = (name) => {
+        const tag = document.querySelector(`meta[name="${name}"]`);
+        return tag ? tag.content.trim() : '';
+    };
+    const withSlash = path => (path.endsWith('/') ? path : `${path}/`);
+    const absolute = path => new URL(withSlash(path), document.baseURI).href;
+
+    // A link must not point the import map at another site's scripts
+    const sameOrigin = (path) => {
+        try {
+            return new URL(path, document.baseURI).origin === window.location.origin;
+        } catch (error) {
+            return false;
+        }
+    };
+    let linkedBase = new URLSearchParams(window.location.search).get('assetBase');
+    if (linkedBase && !sameOrigin(linkedBase)) {
+        console.warn(`⚠️ Ignoring assetBase=${linkedBase}: only same-origin asset paths can be linked`);
+        linkedBase = null;
+    }
+
+    const base = linkedBase || meta('gallery-asset-base');
+
+    const assets = base ? {
+        three: `${withSlash(base)}three/`,
+        draco: `${withSlash(base)}three/examples/jsm/libs/draco/gltf/`,
+        basis: `${withSlash(base)}three/examples/jsm/libs/basis/`,
+        hdri: `${withSlash(base)}hdri/`
+    } : { ...CDN };
+
+    Object.keys(assets).forEach((key) => {
+        assets[key] = absolute(meta(`gallery-${key}-path`) || assets[key]);
+    });
+
+    window.GALLERY_ASSETS = Object.freeze(assets);
+
+    const importMap = document.createElement('script');
+    importMap.type = 'importmap';
+    importMap.textContent = JSON.stringify({
+        imports: {
+            'three': `${assets.three}build/three.module.js`,
+            'three/addons/': `${assets.three}examples/jsm/`
+        }
+    });
+    document.currentScript.after(importMap);
+})();
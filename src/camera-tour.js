@@ -0,0 +1,158 @@
+import * as THREE from 'three';
+
+/**
+ * 🎬 CAMERA TOURS
+ * Authored camera paths for exhibitions. A tour is a list of keyframes
+ * (position, target, optional FOV, travel duration, dwell time, caption);
+ * camera position and target each follow a Catmull-Rom spline through the
+ * keyframes, so the path is smooth rather than a chain of straight eases.
+ *
+ * The player is driven from the viewer's render loop and works on a single
+ * timeline in seconds, which makes pause and scrub trivial.
+ */
+
+const easeInOut = t => 0.5 - Math.cos(Math.PI * t) / 2;
+
+export class CameraTour {
+    constructor({ title, keyframes }) {
+        this.title = title;
+        this.keyframes = keyframes;
+
+        const points = key => keyframes.map(frame => new THREE.Vector3(...frame[key]));
+        this.positionCurve = new THREE.CatmullRomCurve3(points('position'), false, 'centripetal');
+        this.targetCurve = new THREE.CatmullRomCurve3(points('target'), false, 'centripetal');
+
+        // Timeline: each keyframe is reached after its travel time, then held
+        this.stops = [];
+        let time = 0;
+        keyframes.forEach((frame, index) => {
+            const arrive = index === 0 ? 0 : time + (frame.duration ?? 3);
+            const leave = arrive + (frame.dwell ?? 0);
+            this.stops.push({ arrive, leave });
+            time = leave;
+        });
+        this.duration = time;
+    }
+
+    /**
+     * Camera pose at `time` seconds. FOV is null where no keyframe so far
+     * set one (the camera keeps its own).
+     */
+    sample(time, result = { position: new THREE.Vector3(), target: new THREE.Vector3() }) {
+        time = THREE.MathUtils.clamp(time, 0, this.duration);
+        const last = this.keyframes.length - 1;
+
+        // Index of the keyframe we are at or have just left
+        let index = 0;
+        while (index < last && time >= this.stops[index + 1].arrive) index++;
+
+        const { leave } = this.stops[index];
+        let progress = 0;
+        if (index < last && time > leave) {
+            const travel = this.stops[index + 1].arrive - leave;
+            progress = travel > 0 ? easeInOut((time - leave) / travel) : 1;
+        }
+
+        // Keyframe i sits at i / last along a (non-closed) Catmull-Rom curve
+        const u = (index + progress) / last;
+        this.positionCurve.getPoint(u, result.position);
+        this.targetCurve.getPoint(u, result.target);
+
+        const fovAt = i => this.keyframes.slice(0, i + 1).reverse().find(frame => frame.fov !== undefined)?.fov ?? null;
+        const fromFov = fovAt(index);
+        const toFov = index < last ? fovAt(index + 1) : fromFov;
+        result.fov = fromFov === null || toFov === null ? (toFov ?? fromFov) : THREE.MathUtils.lerp(fromFov, toFov, progress);
+
+        // Captions show while the camera holds (or heads away from) a keyframe
+        result.caption = progress < 0.5 ? this.keyframes[index].caption || '' : '';
+        return result;
+    }
+}
+
+export class TourPlayer {
+    constructor({ camera, controls, onUpdate }) {
+        this.camera = camera;
+        this.controls = controls;
+        this.onUpdate = onUpdate; // (time, duration, pose) after every step
+
+        this.tour = null;
+        this.time = 0;
+        this.playing = false;
+        this.lastFrame = 0;
+        this.saved = null; // camera FOV and auto-rotate from before the tour
+
+        this._pose = { position: new THREE.Vector3(), target: new THREE.Vector3() };
+    }
+
+    get active() {
+        return this.tour !== null;
+    }
+
+    load(tour) {
+        this.stop();
+        this.tour = tour;
+        this.time = 0;
+        this.saved = { fov: this.camera.fov, autoRotate: this.controls.autoRotate };
+    }
+
+    play() {
+        if (!this.tour) return;
+        if (this.time >= this.tour.duration) this.time = 0;
+        this.playing = true;
+        this.lastFrame = performance.now();
+        this.controls.autoRotate = false;
+    }
+
+    pause() {
+        this.playing = false;
+    }
+
+    // Jumps to `time` seconds (pauses playback)
+    seek(time) {
+        if (!this.tour) return;
+        this.playing = false;
+        this.time = THREE.MathUtils.clamp(time, 0, this.tour.duration);
+        this.controls.autoRotate = false;
+        this.apply();
+    }
+
+    // Ends the tour and gives the camera back its own FOV
+    stop() {
+        if (!this.tour) return;
+        this.playing = false;
+        this.camera.fov = this.saved.fov;
+        this.camera.updateProjectionMatrix();
+        this.controls.autoRotate = this.saved.autoRotate;
+        this.tour = null;
+        if (this.onUpdate) this.onUpdate(0, 0, null);
+    }
+
+    // Call once per frame
+    update() {
+        if (!this.playing) return;
+
+        const now = performance.now();
+        // Clamp long gaps (background tab) so the tour doesn't skip ahead
+        this.time += Math.min(now - this.lastFrame, 100) / 1000;
+        this.lastFrame = now;
+
+        if (this.time >= this.tour.duration) {
+            this.time = this.tour.duration;
+            this.playing = false;
+        }
+        this.apply();
+    }
+
+    apply() {
+        const pose = this.tour.sample(this.time, this._pose);
+        this.camera.position.copy(pose.position);
+        this.controls.target.copy(pose.target);
+        if (pose.fov !== null && pose.fov !== this.camera.fov) {
+            this.camera.fov = pose.fov;
+            this.camera.updateProjectionMatrix();
+        }
+        this.controls.update();
+
+        if (this.onUpdate) this.onUpdate(this.time, this.tour.duration, pose);
+    }
+}
@@ -0,0 +1,346 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+
+/**
+ * ✂️ SECTION PLANES
+ * Up to three clipping planes (one per axis to start with) that cut through
+ * the loaded model. Cut faces are capped with a solid colour using the
+ * stencil technique from three's webgl_clipping_stencil example: for each
+ * plane the model's back faces increment and front faces decrement the
+ * stencil, and a cap quad is drawn wherever the count is non-zero.
+ *
+ * Needs a renderer created with `stencil: true`, and an EffectComposer whose
+ * render targets have a stencil buffer.
+ */
+
+const AXES = {
+    x: new THREE.Vector3(-1, 0, 0),
+    y: new THREE.Vector3(0, -1, 0),
+    z: new THREE.Vector3(0, 0, -1)
+};
+
+const DEFAULT_CAP_COLOR = 0xd8c8b8;
+
+function createStencilMaterial(plane, side, op) {
+    return new THREE.MeshBasicMaterial({
+        depthWrite: false,
+        depthTest: false,
+        colorWrite: false,
+        stencilWrite: true,
+        stencilFunc: THREE.AlwaysStencilFunc,
+        side,
+        clippingPlanes: [plane],
+        stencilFail: op,
+        stencilZFail: op,
+        stencilZPass: op
+    });
+}
+
+/**
+ * Hides `getObjects()` while `pass` renders, e.g. to keep stencil helpers
+ * out of the SSAO normal buffer (which has no stencil to mask them).
+ */
+export function hideDuringPass(pass, getObjects) {
+    const render = pass.render.bind(pass);
+    pass.render = (...args) => {
+        const objects = getObjects();
+        const visibility = objects.map(object => object.visible);
+        objects.forEach((object) => { object.visible = false; });
+        try {
+            render(...args);
+        } finally {
+            objects.forEach((object, i) => { object.visible = visibility[i]; });
+        }
+    };
+}
+
+export class ClippingManager {
+    constructor({ renderer, scene, camera, domElement, orbitControls }) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.orbitControls = orbitControls;
+
+        this.renderer.localClippingEnabled = true;
+
+        this.model = null;
+        this.bounds = new THREE.Box3();
+        this.activePlanes = []; // shared by every clipped material
+        this.extraMaterials = []; // e.g. the SSAO normal material
+
+        this.group = new THREE.Group();
+        this.group.name = 'section-planes';
+        this.scene.add(this.group);
+
+        this.capMaterials = [];
+        this.planes = Object.entries(AXES).map(([axis, normal], index) => {
+            const anchor = new THREE.Object3D();
+            anchor.name = `section-anchor-${axis}`;
+            this.scene.add(anchor);
+
+            const plane = new THREE.Plane(normal.clone(), 0);
+            const capMaterial = new THREE.MeshStandardMaterial({
+                color: DEFAULT_CAP_COLOR,
+                metalness: 0,
+                roughness: 0.8,
+                stencilWrite: true,
+                stencilRef: 0,
+                stencilFunc: THREE.NotEqualStencilFunc,
+                stencilFail: THREE.ReplaceStencilOp,
+                stencilZFail: THREE.ReplaceStencilOp,
+                stencilZPass: THREE.ReplaceStencilOp
+            });
+            this.capMaterials.push(capMaterial);
+
+            const cap = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), capMaterial);
+            cap.visible = false;
+            cap.renderOrder = index * 2 + 1.1;
+            // Reset the stencil so the next plane starts from zero
+            cap.onAfterRender = (renderer) => renderer.clearStencil();
+            this.group.add(cap);
+
+            const stencilGroup = new THREE.Group();
+            stencilGroup.visible = false;
+            this.group.add(stencilGroup);
+
+            return {
+                axis,
+                baseNormal: normal,
+                plane,
+                anchor,
+                cap,
+                stencilGroup,
+                enabled: false,
+                flipped: false,
+                offset: 0 // -1..1 across the model's bounds
+            };
+        });
+
+        // On-screen gizmo to drag or turn the selected plane
+        this.gizmo = new TransformControls(camera, domElement);
+        this.gizmo.setSize(0.8);
+        this.gizmo.addEventListener('dragging-changed', (e) => {
+            this.orbitControls.enabled = !e.value;
+        });
+        this.gizmo.addEventListener('objectChange', () => this.syncOffsetFromAnchor());
+        this.gizmoHelper = this.gizmo.getHelper();
+        this.gizmoHelper.visible = false;
+        this.scene.add(this.gizmoHelper);
+        this.gizmoIndex = -1;
+
+        this.onChange = null; // called when a gizmo drag moves a plane
+    }
+
+    get enabled() {
+        return this.activePlanes.length > 0;
+    }
+
+    // Objects that must not show up in passes without a stencil buffer
+    get stencilObjects() {
+        return this.planes.flatMap(({ cap, stencilGroup }) => [cap, stencilGroup]);
+    }
+
+    addClippedMaterial(material) {
+        this.extraMaterials.push(material);
+        this.applyToMaterials();
+    }
+
+    setModel(model) {
+        this.clearModel();
+        this.model = model;
+        this.bounds.setFromObject(model);
+
+        const size = this.bounds.getSize(new THREE.Vector3()).length() * 2;
+        this.planes.forEach((entry) => {
+            entry.cap.scale.set(size, size, 1);
+            this.buildStencilMeshes(entry);
+            this.placeAnchor(entry);
+        });
+
+        this.applyToMaterials();
+    }
+
+    clearModel() {
+        this.planes.forEach(({ stencilGroup }) => {
+            stencilGroup.children.forEach(mesh => mesh.material.dispose());
+            stencilGroup.clear();
+        });
+
+        if (this.model) {
+            this.forEachModelMaterial((material) => {
+                material.clippingPlanes = null;
+                material.needsUpdate = true;
+            });
+        }
+        this.model = null;
+    }
+
+    forEachModelMaterial(callback) {
+        this.model.traverse((child) => {
+            if (!child.isMesh || !child.material) return;
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(callback);
+        });
+    }
+
+    buildStencilMeshes(entry) {
+        const { plane, stencilGroup } = entry;
+        const index = this.planes.indexOf(entry);
+
+        this.model.traverse((child) => {
+            if (!child.isMesh || child.isSkinnedMesh) return;
+
+            const back = new THREE.Mesh(child.geometry, createStencilMaterial(plane, THREE.BackSide, THREE.IncrementWrapStencilOp));
+            const front = new THREE.Mesh(child.geometry, createStencilMaterial(plane, THREE.FrontSide, THREE.DecrementWrapStencilOp));
+
+            [back, front].forEach((mesh) => {
+                mesh.matrixAutoUpdate = false;
+                mesh.renderOrder = index * 2 + 1;
+                mesh.userData.source = child;
+                stencilGroup.add(mesh);
+            });
+        });
+    }
+
+    // ===== PLANE SETTINGS =====
+
+    setEnabled(index, enabled) {
+        const entry = this.planes[index];
+        entry.enabled = enabled;
+        entry.cap.visible = enabled;
+        entry.stencilGroup.visible = enabled;
+
+        if (!enabled && this.gizmoIndex === index) this.setGizmo(-1);
+        this.applyToMaterials();
+    }
+
+    setOffset(index, offset) {
+        const entry = this.planes[index];
+        entry.offset = offset;
+        this.placeAnchor(entry);
+    }
+
+    setFlipped(index, flipped) {
+        const entry = this.planes[index];
+        entry.flipped = flipped;
+        this.updatePlane(entry);
+    }
+
+    setCapColor(color) {
+        this.capMaterials.forEach(material => material.color.set(color));
+    }
+
+    setGizmo(index, mode = 'translate') {
+        this.gizmoIndex = index;
+        const entry = this.planes[index];
+
+        if (!entry || !entry.enabled) {
+            this.gizmo.detach();
+            this.gizmoHelper.visible = false;
+            this.gizmoIndex = -1;
+            return;
+        }
+
+        this.gizmo.attach(entry.anchor);
+        this.gizmo.setMode(mode);
+        this.gizmoHelper.visible = true;
+    }
+
+    // Moves the anchor to `offset` across the bounds along the plane axis
+    placeAnchor(entry) {
+        const center = this.bounds.getCenter(new THREE.Vector3());
+        const halfSize = this.bounds.getSize(new THREE.Vector3()).multiplyScalar(0.5);
+        const axis = this.getAxis(entry, new THREE.Vector3());
+        const extent = Math.abs(axis.x) * halfSize.x + Math.abs(axis.y) * halfSize.y + Math.abs(axis.z) * halfSize.z;
+
+        entry.anchor.position.copy(center).addScaledVector(axis, -entry.offset * extent);
+        this.updatePlane(entry);
+    }
+
+    // After a gizmo drag, report the offset back so sliders can follow
+    syncOffsetFromAnchor() {
+        const entry = this.planes[this.gizmoIndex];
+        if (!entry) return;
+
+        this.updatePlane(entry);
+
+        const center = this.bounds.getCenter(new THREE.Vector3());
+        const halfSize = this.bounds.getSize(new THREE.Vector3()).multiplyScalar(0.5);
+        const axis = this.getAxis(entry, new THREE.Vector3());
+        const extent = Math.abs(axis.x) * halfSize.x + Math.abs(axis.y) * halfSize.y + Math.abs(axis.z) * halfSize.z;
+        const distance = entry.anchor.position.clone().sub(center).dot(axis);
+        entry.offset = extent ? THREE.MathUtils.clamp(-distance / extent, -1, 1) : 0;
+
+        if (this.onChange) this.onChange(this.gizmoIndex, entry);
+    }
+
+    // Plane direction before flipping; offsets are measured along it
+    getAxis(entry, target) {
+        return target.copy(entry.baseNormal).applyQuaternion(entry.anchor.quaternion);
+    }
+
+    getNormal(entry, target) {
+        this.getAxis(entry, target);
+        if (entry.flipped) target.negate();
+        return target;
+    }
+
+    updatePlane(entry) {
+        const normal = this.getNormal(entry, new THREE.Vector3());
+        entry.plane.setFromNormalAndCoplanarPoint(normal, entry.anchor.position);
+
+        // Cap quad lies in the plane, facing the clipped-away side
+        entry.cap.position.copy(entry.anchor.position);
+        entry.cap.lookAt(entry.cap.position.clone().sub(normal));
+    }
+
+    applyToMaterials() {
+        const active = this.planes.filter(entry => entry.enabled);
+        this.activePlanes.length = 0;
+        active.forEach(entry => this.activePlanes.push(entry.plane));
+
+        // Each cap is clipped by the other active planes
+        this.planes.forEach((entry) => {
+            entry.cap.material.clippingPlanes = active.filter(other => other !== entry).map(other => other.plane);
+            entry.cap.material.needsUpdate = true;
+        });
+
+        const planes = this.activePlanes.length ? this.activePlanes : null;
+        const apply = (material) => {
+            material.clippingPlanes = planes;
+            material.clipShadows = true;
+            // The plane count is compiled into the shader
+            material.needsUpdate = true;
+        };
+
+        if (this.model) this.forEachModelMaterial(apply);
+        this.extraMaterials.forEach(apply);
+    }
+
+    /**
+     * Keeps stencil meshes glued to their source meshes (they live outside
+     * the model so they never show up in its traversals).
+     */
+    update() {
+        if (!this.enabled) return;
+
+        this.planes.forEach(({ enabled, stencilGroup }) => {
+            if (!enabled) return;
+            stencilGroup.children.forEach((mesh) => {
+                mesh.matrix.copy(mesh.userData.source.matrixWorld);
+                mesh.matrixWorldNeedsUpdate = true;
+            });
+        });
+    }
+
+    dispose() {
+        this.clearModel();
+        this.gizmo.detach();
+        this.gizmo.dispose();
+        this.scene.remove(this.gizmoHelper, this.group);
+        this.planes.forEach(({ anchor, cap }) => {
+            this.scene.remove(anchor);
+            cap.geometry.dispose();
+            cap.material.dispose();
+        });
+    }
+}
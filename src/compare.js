@@ -0,0 +1,286 @@
+import * as THREE from 'three';
+
+/**
+ * 🌓 A/B COMPARE
+ * Renders the scene twice on the same renderer, split by a draggable
+ * divider (scissor test). Side A is the viewer as it stands; side B shows
+ * another gallery model, or a copy of A's model with its own materials,
+ * with its own exposure, light and environment intensity.
+ *
+ * 'wipe' renders both sides full-frame and reveals them either side of the
+ * divider (best for material tweaks); 'split' gives each side its own
+ * viewport. The sides share one camera unless told otherwise, in which
+ * case orbiting drives whichever side the pointer is over.
+ *
+ * Compare frames render directly, without the post-processing stack, so
+ * both halves get exactly the same treatment.
+ */
+
+export const COMPARE_LAYOUTS = ['wipe', 'split'];
+
+// Copy of a model that shares geometry and textures but owns its materials
+function cloneWithMaterials(model) {
+    const copy = model.clone();
+    copy.traverse((child) => {
+        if (!child.isMesh || !child.material) return;
+        child.material = Array.isArray(child.material) ?
+            child.material.map(material => material.clone()) :
+            child.material.clone();
+    });
+    return copy;
+}
+
+function forEachMaterial(object, callback) {
+    object.traverse((child) => {
+        if (!child.isMesh || !child.material) return;
+        (Array.isArray(child.material) ? child.material : [child.material]).forEach(callback);
+    });
+}
+
+export class CompareView {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.enabled = false;
+        this.layout = 'wipe';
+        this.divider = 0.5; // fraction of the width given to side A
+        this.shareCamera = true;
+        this.controlledSide = 'a';
+
+        this.a = { target: new THREE.Vector3() };
+        this.b = {
+            modelKey: null, // null: a copy of side A's model
+            model: null,
+            cached: null, // cache entry when B borrowed a gallery model
+            camera: null,
+            target: new THREE.Vector3(),
+            exposure: 0.75,
+            lightScale: 1,
+            environmentIntensity: 1
+        };
+
+        this.loadToken = 0;
+        this._size = new THREE.Vector2();
+    }
+
+    async enable() {
+        const { renderer, environment } = this.viewer;
+        this.enabled = true;
+
+        // B starts as an exact copy of A's look
+        this.b.exposure = renderer.toneMappingExposure;
+        this.b.lightScale = 1;
+        this.b.environmentIntensity = environment.intensity;
+
+        await this.setModel(this.b.modelKey);
+    }
+
+    disable() {
+        this.enabled = false;
+        this.loadToken++;
+        this.setShareCamera(true);
+        this.releaseModel();
+    }
+
+    // ===== SIDE B MODEL =====
+
+    /**
+     * Shows `modelKey` on side B, or a copy of A's model when it is null
+     * (or the same model as A).
+     */
+    async setModel(modelKey) {
+        const viewer = this.viewer;
+        const token = ++this.loadToken;
+        this.b.modelKey = modelKey;
+
+        if (!modelKey || modelKey === viewer.modelKey) {
+            this.releaseModel();
+            if (viewer.model) this.attachModel(cloneWithMaterials(viewer.model), null);
+            return;
+        }
+
+        // A recently viewed model comes out of the viewer's cache
+        let entry = viewer.modelCache.take(modelKey);
+        if (!entry) {
+            const config = viewer.modelConfigs[modelKey];
+            const gltf = await viewer.loadGLTF(viewer.gltfLoader, config.path);
+            if (token !== this.loadToken) {
+                viewer.disposeObject(gltf.scene);
+                return;
+            }
+            const { triangles, metersPerSceneUnit } = viewer.prepareModel(gltf.scene, config);
+            entry = { model: gltf.scene, triangles, metersPerSceneUnit, variants: viewer.createVariants(gltf, config) };
+        }
+
+        if (token !== this.loadToken) {
+            viewer.modelCache.put(modelKey, entry);
+            return;
+        }
+
+        this.releaseModel();
+        this.attachModel(entry.model, entry);
+    }
+
+    attachModel(model, cached) {
+        // Section planes only cut side A
+        forEachMaterial(model, (material) => {
+            material.clippingPlanes = null;
+            material.needsUpdate = true;
+        });
+
+        this.b.model = model;
+        this.b.cached = cached;
+        model.visible = false; // only shown while side B renders
+        this.viewer.scene.add(model);
+        this.viewer.invalidate();
+    }
+
+    releaseModel() {
+        const { model, cached, modelKey } = this.b;
+        if (!model) return;
+
+        this.viewer.scene.remove(model);
+        model.visible = true;
+
+        if (cached) {
+            this.viewer.modelCache.put(modelKey, cached);
+        } else {
+            // A copy owns only its materials
+            forEachMaterial(model, material => material.dispose());
+        }
+
+        this.b.model = null;
+        this.b.cached = null;
+    }
+
+    // Side A changed model: a copy of the old one is stale
+    onModelChanged() {
+        if (this.enabled && (!this.b.modelKey || this.b.modelKey === this.viewer.modelKey)) {
+            this.setModel(this.b.modelKey);
+        }
+    }
+
+    // ===== SIDE B SETTINGS =====
+
+    setExposure(value) {
+        this.b.exposure = value;
+    }
+
+    setLightScale(value) {
+        this.b.lightScale = value;
+    }
+
+    setEnvironmentIntensity(value) {
+        this.b.environmentIntensity = value;
+    }
+
+    setLayout(layout) {
+        if (COMPARE_LAYOUTS.includes(layout)) this.layout = layout;
+    }
+
+    setDivider(fraction) {
+        this.divider = THREE.MathUtils.clamp(fraction, 0.05, 0.95);
+    }
+
+    // ===== CAMERAS =====
+
+    setShareCamera(share) {
+        const { camera, controls } = this.viewer;
+
+        if (share) {
+            this.useCamera('a');
+            this.b.camera = null;
+        } else if (!this.b.camera) {
+            // B starts where A is and then goes its own way
+            this.b.camera = camera.clone();
+            this.b.target.copy(controls.target);
+        }
+        this.shareCamera = share;
+    }
+
+    // Hands OrbitControls to one side's camera (unshared cameras only)
+    useCamera(side) {
+        if (side === this.controlledSide) return;
+        if (side === 'b' && !this.b.camera) return;
+
+        const { controls, camera } = this.viewer;
+        const from = this.controlledSide === 'a' ? this.a : this.b;
+        const to = side === 'a' ? this.a : this.b;
+
+        from.target.copy(controls.target);
+        controls.object = side === 'a' ? camera : this.b.camera;
+        controls.target.copy(to.target);
+        controls.update();
+        this.controlledSide = side;
+    }
+
+    // Which side a client x coordinate falls on
+    sideAt(clientX) {
+        const rect = this.viewer.renderer.domElement.getBoundingClientRect();
+        return (clientX - rect.left) / rect.width < this.divider ? 'a' : 'b';
+    }
+
+    // ===== RENDERING =====
+
+    // Temporarily applies side B's model and lighting around `callback`
+    withSideB(callback) {
+        const { renderer, scene, lighting, model, clipping } = this.viewer;
+        const lights = lighting.lights;
+
+        const saved = {
+            exposure: renderer.toneMappingExposure,
+            environmentIntensity: scene.environmentIntensity,
+            lights: lights.map(light => light.intensity)
+        };
+        const hidden = [model, ...clipping.stencilObjects].filter(object => object && object.visible);
+
+        renderer.toneMappingExposure = this.b.exposure;
+        scene.environmentIntensity = this.b.environmentIntensity;
+        lights.forEach((light) => { light.intensity *= this.b.lightScale; });
+        hidden.forEach((object) => { object.visible = false; });
+        if (this.b.model) this.b.model.visible = true;
+
+        try {
+            callback();
+        } finally {
+            if (this.b.model) this.b.model.visible = false;
+            hidden.forEach((object) => { object.visible = true; });
+            lights.forEach((light, i) => { light.intensity = saved.lights[i]; });
+            scene.environmentIntensity = saved.environmentIntensity;
+            renderer.toneMappingExposure = saved.exposure;
+        }
+    }
+
+    render() {
+        const { renderer, scene, camera } = this.viewer;
+        const { x: width, y: height } = renderer.getSize(this._size);
+        const splitX = Math.round(width * this.divider);
+        const savedAspect = camera.aspect;
+
+        const sides = [
+            { side: 'a', camera, x: 0, width: splitX },
+            { side: 'b', camera: this.b.camera || camera, x: splitX, width: width - splitX }
+        ];
+
+        renderer.setScissorTest(true);
+        sides.forEach(({ side, camera: sideCamera, x, width: sideWidth }) => {
+            const [viewportX, viewportWidth] = this.layout === 'split' ? [x, sideWidth] : [0, width];
+            renderer.setViewport(viewportX, 0, viewportWidth, height);
+            renderer.setScissor(x, 0, sideWidth, height);
+
+            sideCamera.aspect = viewportWidth / height;
+            sideCamera.updateProjectionMatrix();
+
+            if (side === 'a') renderer.render(scene, sideCamera);
+            else this.withSideB(() => renderer.render(scene, sideCamera));
+        });
+        renderer.setScissorTest(false);
+        renderer.setViewport(0, 0, width, height);
+
+        camera.aspect = savedAspect;
+        camera.updateProjectionMatrix();
+    }
+
+    dispose() {
+        this.disable();
+    }
+}
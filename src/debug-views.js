@@ -0,0 +1,265 @@
+import * as THREE from 'three';
+
+/**
+ * 🔬 DEBUG VIEWS
+ * Technical views for signing off assets: the model's materials are
+ * swapped for stand-ins that show one thing each (wireframe, normals, a UV
+ * checker, base colour or a single PBR channel). The loaded materials are
+ * put back untouched, so 'lit' is exactly the model as it was.
+ *
+ * Channel views show raw texel values, which only holds when rendered
+ * straight to the screen: the viewer skips post-processing (and so tone
+ * mapping), and the compare split, while a debug view is on.
+ *
+ * findAssetIssues() lists what an artist should fix: meshes without UVs,
+ * normal maps without tangents, and colour maps that were not tagged sRGB
+ * (see fixColorSpaces).
+ */
+
+export const VIEW_MODES = [
+    { key: 'lit', label: 'Final (lit)' },
+    { key: 'wireframe', label: 'Wireframe' },
+    { key: 'normals', label: 'Vertex Normals' },
+    { key: 'normalMap', label: 'Normals + Normal Map' },
+    { key: 'uv', label: 'UV Checker' },
+    { key: 'baseColor', label: 'Base Colour' },
+    { key: 'roughness', label: 'Roughness' },
+    { key: 'metalness', label: 'Metalness' },
+    { key: 'ao', label: 'Ambient Occlusion' }
+];
+
+// glTF packs occlusion, roughness and metalness into R, G and B
+const CHANNELS = {
+    roughness: { slot: 'roughnessMap', channel: 'g', factor: material => material.roughness ?? 1 },
+    metalness: { slot: 'metalnessMap', channel: 'b', factor: material => material.metalness ?? 0 },
+    ao: { slot: 'aoMap', channel: 'r', factor: () => 1 }
+};
+
+// Texture slots holding colour, which must be decoded from sRGB
+const COLOR_MAP_SLOTS = {
+    map: 'Base colour map',
+    emissiveMap: 'Emissive map',
+    sheenColorMap: 'Sheen colour map',
+    specularColorMap: 'Specular colour map'
+};
+
+/**
+ * Tags a material's colour maps as sRGB. Returns the slots that weren't,
+ * and remembers them on the material for findAssetIssues().
+ */
+export function fixColorSpaces(material) {
+    const fixed = Object.keys(COLOR_MAP_SLOTS).filter((slot) => {
+        const texture = material[slot];
+        return texture && texture.colorSpace !== THREE.SRGBColorSpace;
+    });
+    fixed.forEach((slot) => {
+        material[slot].colorSpace = THREE.SRGBColorSpace;
+        material[slot].needsUpdate = true;
+    });
+    if (fixed.length) material.userData.colorSpaceFixed = fixed;
+    return fixed;
+}
+
+// Problems with `model` as loaded: [{ name, problem }]
+export function findAssetIssues(model) {
+    const issues = [];
+    const seenMaterials = new Set();
+
+    model.traverse((mesh) => {
+        if (!mesh.isMesh || !mesh.geometry) return;
+
+        const name = mesh.name || '(unnamed mesh)';
+        const { attributes } = mesh.geometry;
+        const materials = (Array.isArray(mesh.material) ? mesh.material : [mesh.material]).filter(Boolean);
+
+        if (!attributes.uv) issues.push({ name, problem: 'No UVs' });
+        if (!attributes.tangent && materials.some(material => material.normalMap)) {
+            issues.push({ name, problem: 'Normal map but no tangents (derived in the shader)' });
+        }
+
+        materials.forEach((material) => {
+            if (seenMaterials.has(material)) return;
+            seenMaterials.add(material);
+            (material.userData.colorSpaceFixed || []).forEach((slot) => {
+                issues.push({
+                    name: material.name || name,
+                    problem: `${COLOR_MAP_SLOTS[slot]} was not sRGB (corrected)`
+                });
+            });
+        });
+    });
+    return issues;
+}
+
+// 8×8 checks, tinted red along U and green along V so flips and seams show
+function createCheckerTexture() {
+    const size = 256;
+    const cells = 8;
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = size;
+    const context = canvas.getContext('2d');
+    const cell = size / cells;
+
+    for (let y = 0; y < cells; y++) {
+        for (let x = 0; x < cells; x++) {
+            const u = x / (cells - 1);
+            const v = 1 - y / (cells - 1); // canvas rows run top down, V bottom up
+            context.fillStyle = (x + y) % 2 ?
+                '#262626' :
+                `rgb(${Math.round(90 + 165 * u)}, ${Math.round(90 + 165 * v)}, 110)`;
+            context.fillRect(x * cell, y * cell, cell, cell);
+        }
+    }
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+    texture.magFilter = THREE.NearestFilter;
+    return texture;
+}
+
+/**
+ * Greyscale view of one channel of `map` times `value` (the material's
+ * scalar), on screen as the raw number.
+ */
+function createChannelMaterial(map, channel, value) {
+    const material = new THREE.MeshBasicMaterial({ map, toneMapped: false });
+    material.color.setScalar(value);
+    material.onBeforeCompile = (shader) => {
+        shader.fragmentShader = shader.fragmentShader.replace('#include <map_fragment>', `
+            #ifdef USE_MAP
+                diffuseColor.rgb *= texture2D( map, vMapUv ).${channel};
+            #endif
+            // Cancels the sRGB encoding of the output
+            diffuseColor.rgb = pow( diffuseColor.rgb, vec3( 2.2 ) );
+        `);
+    };
+    material.customProgramCacheKey = () => `debug-channel-${channel}`;
+    return material;
+}
+
+export class DebugViews {
+    constructor() {
+        this.mode = 'lit';
+        this.model = null;
+        this.overrides = new Map(); // mesh -> { original, debug }
+        this.checker = null; // made the first time the UV view is used
+    }
+
+    get active() {
+        return this.mode !== 'lit';
+    }
+
+    // Shows `model` in the current mode
+    setModel(model) {
+        this.restore();
+        this.model = model;
+        this.apply();
+    }
+
+    setMode(mode) {
+        if (!VIEW_MODES.some(view => view.key === mode)) return;
+        this.restore();
+        this.mode = mode;
+        this.apply();
+    }
+
+    // Rebuilds the stand-ins after the loaded materials changed (variants, texture toggles)
+    refresh() {
+        this.restore();
+        this.apply();
+    }
+
+    // Lets go of the model, with its own materials back in place
+    clear() {
+        this.restore();
+        this.model = null;
+    }
+
+    apply() {
+        if (!this.model || !this.active) return;
+
+        const standIns = new Map(); // loaded material -> stand-in (shared stays shared)
+        const standInFor = (material) => {
+            if (!standIns.has(material)) standIns.set(material, this.createMaterial(material));
+            return standIns.get(material);
+        };
+
+        this.model.traverse((mesh) => {
+            if (!mesh.isMesh || !mesh.material) return;
+            const original = mesh.material;
+            const debug = Array.isArray(original) ? original.map(standInFor) : standInFor(original);
+            this.overrides.set(mesh, { original, debug });
+            mesh.material = debug;
+        });
+    }
+
+    /**
+     * Puts the loaded materials back. A mesh whose material was replaced
+     * since (e.g. by a variant) keeps the newer one.
+     */
+    restore() {
+        const disposed = new Set();
+        this.overrides.forEach(({ original, debug }, mesh) => {
+            if (mesh.material === debug) mesh.material = original;
+            (Array.isArray(debug) ? debug : [debug]).forEach((material) => {
+                if (disposed.has(material)) return;
+                disposed.add(material);
+                material.dispose();
+            });
+        });
+        this.overrides.clear();
+    }
+
+    createMaterial(source) {
+        let material;
+        switch (this.mode) {
+            case 'wireframe':
+                material = new THREE.MeshBasicMaterial({ color: 0xdddddd, wireframe: true, toneMapped: false });
+                break;
+            case 'normals':
+                material = new THREE.MeshNormalMaterial({ flatShading: Boolean(source.flatShading), toneMapped: false });
+                break;
+            case 'normalMap':
+                material = new THREE.MeshNormalMaterial({ flatShading: Boolean(source.flatShading), toneMapped: false });
+                if (source.normalMap) {
+                    material.normalMap = source.normalMap;
+                    material.normalMapType = source.normalMapType;
+                    if (source.normalScale) material.normalScale.copy(source.normalScale);
+                }
+                break;
+            case 'uv':
+                if (!this.checker) this.checker = createCheckerTexture();
+                material = new THREE.MeshBasicMaterial({ map: this.checker, toneMapped: false });
+                break;
+            case 'baseColor':
+                material = new THREE.MeshBasicMaterial({
+                    color: source.color ? source.color.clone() : 0xffffff,
+                    map: source.map || null,
+                    alphaMap: source.alphaMap || null,
+                    vertexColors: Boolean(source.vertexColors),
+                    transparent: Boolean(source.transparent),
+                    opacity: source.opacity ?? 1,
+                    toneMapped: false
+                });
+                break;
+            default: {
+                const { slot, channel, factor } = CHANNELS[this.mode];
+                material = createChannelMaterial(source[slot] || null, channel, factor(source));
+            }
+        }
+
+        // Cut, culled and masked like the material it stands in for
+        material.side = source.side;
+        material.alphaTest = source.alphaTest;
+        material.clippingPlanes = source.clippingPlanes;
+        material.clipShadows = source.clipShadows;
+        return material;
+    }
+
+    dispose() {
+        this.clear();
+        if (this.checker) this.checker.dispose();
+        this.checker = null;
+    }
+}
@@ -0,0 +1,241 @@
+import * as THREE from 'three';
+
+/**
+ * 🩺 DIAGNOSTICS
+ * Figures for working out why a model renders slowly: GPU time per
+ * post-processing pass (where the browser offers timer queries), an
+ * estimate of texture memory, a per-mesh breakdown and a frame-time graph.
+ * The draw call and resource counts come straight from renderer.info.
+ *
+ * Timer queries resolve a few frames late and only while frames are
+ * drawn, so a sleeping viewer shows its last figures.
+ */
+
+const STALE_AFTER = 1000; // ms without a new sample before a pass shows as idle
+const MAX_PENDING_QUERIES = 32;
+
+// Bytes per texel of an uncompressed RGBA texture of this type
+const TEXEL_BYTES = {
+    [THREE.FloatType]: 16,
+    [THREE.HalfFloatType]: 8
+};
+
+export function formatBytes(bytes) {
+    if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+    if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+    return `${Math.round(bytes / 1024)} KB`;
+}
+
+// ===== GPU PASS TIMING =====
+
+export class PassTimer {
+    constructor(renderer) {
+        this.gl = renderer.getContext();
+        // WebGL 2 only; some browsers hide it (timing attacks)
+        this.ext = this.gl.getExtension('EXT_disjoint_timer_query_webgl2');
+        this.supported = Boolean(this.ext);
+        this.enabled = false; // only measured while someone is looking
+
+        this.timings = new Map(); // name -> { ms, time }
+        this.pending = []; // { name, query }
+        this.measuring = false; // one TIME_ELAPSED query at a time
+    }
+
+    /**
+     * Times `pass.render` on the GPU under `name`. Wraps the method the
+     * same way hideDuringPass (src/clipping.js) does, so the two combine.
+     */
+    wrap(pass, name) {
+        if (!this.supported) return;
+
+        const render = pass.render.bind(pass);
+        pass.render = (...args) => {
+            if (!this.enabled || this.measuring || this.pending.length >= MAX_PENDING_QUERIES) {
+                render(...args);
+                return;
+            }
+
+            const { gl, ext } = this;
+            const query = gl.createQuery();
+            gl.beginQuery(ext.TIME_ELAPSED_EXT, query);
+            this.measuring = true;
+            try {
+                render(...args);
+            } finally {
+                gl.endQuery(ext.TIME_ELAPSED_EXT);
+                this.measuring = false;
+                this.pending.push({ name, query });
+            }
+        };
+    }
+
+    // Collects finished queries; call once per frame
+    poll() {
+        if (!this.pending.length) return;
+
+        const { gl, ext } = this;
+        // A disjoint event (e.g. a GPU clock change) spoils every open query
+        const disjoint = gl.getParameter(ext.GPU_DISJOINT_EXT);
+        const now = performance.now();
+
+        this.pending = this.pending.filter(({ name, query }) => {
+            if (!disjoint && !gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE)) return true;
+
+            if (!disjoint) {
+                const ms = gl.getQueryParameter(query, gl.QUERY_RESULT) / 1e6;
+                const previous = this.timings.get(name);
+                // Smoothed, or the readout flickers too fast to read
+                this.timings.set(name, { ms: previous ? previous.ms * 0.9 + ms * 0.1 : ms, time: now });
+            }
+            gl.deleteQuery(query);
+            return false;
+        });
+    }
+
+    // Smoothed GPU milliseconds of a pass, or null if it hasn't run lately
+    get(name) {
+        const timing = this.timings.get(name);
+        if (!timing || performance.now() - timing.time > STALE_AFTER) return null;
+        return timing.ms;
+    }
+
+    dispose() {
+        this.pending.forEach(({ query }) => this.gl.deleteQuery(query));
+        this.pending = [];
+        this.timings.clear();
+    }
+}
+
+// ===== TEXTURE MEMORY =====
+
+function texturesOf(material) {
+    return Object.values(material).filter(value => value && value.isTexture);
+}
+
+function textureSize(texture) {
+    const image = Array.isArray(texture.image) ? texture.image[0] : texture.image;
+    if (!image) return null;
+    const width = image.width || image.videoWidth || 0;
+    const height = image.height || image.videoHeight || 0;
+    return width && height ? { width, height } : null;
+}
+
+/**
+ * Estimated GPU bytes of one texture. Compressed textures count their
+ * actual mip data; the rest count RGBA texels, plus a third for mipmaps.
+ */
+function textureBytes(texture, { width, height }) {
+    const faces = texture.isCubeTexture ? 6 : 1;
+    if (texture.isCompressedTexture && texture.mipmaps && texture.mipmaps.length) {
+        return faces * texture.mipmaps.reduce((sum, mip) => sum + (mip.data ? mip.data.byteLength : 0), 0);
+    }
+    const mipmapped = texture.generateMipmaps || (texture.mipmaps && texture.mipmaps.length > 1);
+    return faces * width * height * (TEXEL_BYTES[texture.type] || 4) * (mipmapped ? 4 / 3 : 1);
+}
+
+/**
+ * Texture memory of everything `scene` draws with (materials, background
+ * and environment), grouped by resolution, largest share first:
+ * { total, groups: [{ resolution, count, bytes }] }
+ */
+export function estimateTextureMemory(scene) {
+    const textures = new Set([scene.background, scene.environment].filter(value => value && value.isTexture));
+    scene.traverse((object) => {
+        if (!object.material) return;
+        const materials = Array.isArray(object.material) ? object.material : [object.material];
+        materials.forEach(material => texturesOf(material).forEach(texture => textures.add(texture)));
+    });
+
+    const groups = new Map();
+    let total = 0;
+    textures.forEach((texture) => {
+        const size = textureSize(texture);
+        if (!size) return;
+        const bytes = textureBytes(texture, size);
+        const resolution = `${size.width}×${size.height}`;
+        const group = groups.get(resolution) || { resolution, count: 0, bytes: 0 };
+        group.count++;
+        group.bytes += bytes;
+        groups.set(resolution, group);
+        total += bytes;
+    });
+
+    return { total, groups: [...groups.values()].sort((a, b) => b.bytes - a.bytes) };
+}
+
+// ===== MESHES =====
+
+/**
+ * One row per mesh of `model`, heaviest first: its triangles, vertices,
+ * draw calls (one per material group) and textures.
+ */
+export function describeMeshes(model) {
+    const rows = [];
+    model.traverse((mesh) => {
+        if (!mesh.isMesh || !mesh.geometry) return;
+
+        const { geometry } = mesh;
+        const vertices = geometry.attributes.position ? geometry.attributes.position.count : 0;
+        const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+        const textures = new Set(materials.filter(Boolean).flatMap(texturesOf));
+
+        rows.push({
+            name: mesh.name || (mesh.parent && mesh.parent.name) || '(unnamed)',
+            triangles: Math.round((geometry.index ? geometry.index.count : vertices) / 3),
+            vertices,
+            drawCalls: Array.isArray(mesh.material) ? Math.max(geometry.groups.length, 1) : 1,
+            textures: textures.size
+        });
+    });
+    return rows.sort((a, b) => b.triangles - a.triangles);
+}
+
+// ===== FRAME GRAPH =====
+
+/**
+ * Bar graph of recent frame times on a canvas, with guides at 60 and
+ * 30 fps. Bars over the 30 fps line turn red.
+ */
+export class FrameGraph {
+    constructor(canvas, { capacity = 120, maxMs = 50 } = {}) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.capacity = capacity;
+        this.maxMs = maxMs;
+        this.samples = [];
+    }
+
+    push(ms) {
+        this.samples.push(ms);
+        if (this.samples.length > this.capacity) this.samples.shift();
+    }
+
+    draw() {
+        const { canvas, context, maxMs } = this;
+        const { width, height } = canvas;
+        const y = ms => height - (Math.min(ms, maxMs) / maxMs) * height;
+        const barWidth = width / this.capacity;
+
+        context.clearRect(0, 0, width, height);
+        this.samples.forEach((ms, index) => {
+            context.fillStyle = ms > 1000 / 30 ? '#ff6b6b' : '#6ee7b7';
+            const top = y(ms);
+            context.fillRect(index * barWidth, top, Math.max(barWidth - 1, 1), height - top);
+        });
+
+        context.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+        context.setLineDash([3, 3]);
+        [1000 / 60, 1000 / 30].forEach((ms) => {
+            context.beginPath();
+            context.moveTo(0, Math.round(y(ms)) + 0.5);
+            context.lineTo(width, Math.round(y(ms)) + 0.5);
+            context.stroke();
+        });
+        context.setLineDash([]);
+    }
+
+    clear() {
+        this.samples = [];
+        this.draw();
+    }
+}
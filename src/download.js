@@ -0,0 +1,16 @@
+/**
+ * 💾 DOWNLOADS
+ * Saves a Blob through a temporary <a download> link.
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,138 @@
+import * as THREE from 'three';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
+
+/**
+ * 🌅 ENVIRONMENT LIBRARY
+ * Loads HDRIs from the manifest's environment list, prefilters them through
+ * PMREMGenerator and owns the resulting render target so switching disposes
+ * the previous one. Also drives environment rotation, intensity and how the
+ * environment is shown as the scene background.
+ */
+
+export const BACKGROUND_MODES = ['color', 'blurred', 'full'];
+
+const BACKGROUND_COLOR = 0x0a0a0f;
+const BLURRED_BACKGROUND = 0.35;
+
+export class EnvironmentManager {
+    constructor(renderer, scene, { environments, hdriPath }) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.environments = environments;
+        this.hdriPath = hdriPath;
+
+        this.pmremGenerator = new THREE.PMREMGenerator(renderer);
+        this.pmremGenerator.compileEquirectangularShader();
+
+        this.renderTarget = null;
+        this.currentKey = null;
+        this.usedFallback = false;
+        this.loadToken = 0;
+
+        // Settings
+        this.rotation = 0; // degrees
+        this.intensity = 1;
+        this.backgroundMode = 'color';
+        this.backgroundColor = new THREE.Color(BACKGROUND_COLOR);
+    }
+
+    get texture() {
+        return this.renderTarget ? this.renderTarget.texture : null;
+    }
+
+    resolveUrl(file) {
+        return new URL(file, this.hdriPath).href;
+    }
+
+    /**
+     * Switches to the environment `key`. Falls back to the procedural room
+     * when the HDRI cannot be fetched; resolves with { fallback: true } then.
+     */
+    async load(key, onProgress) {
+        const environment = this.environments[key];
+        if (!environment) throw new Error(`Unknown environment "${key}"`);
+
+        const token = ++this.loadToken;
+        let fallback = false;
+        let renderTarget;
+
+        if (environment.procedural) {
+            renderTarget = this.createProceduralTarget();
+        } else {
+            try {
+                const texture = await new RGBELoader().loadAsync(this.resolveUrl(environment.file), onProgress);
+                renderTarget = this.pmremGenerator.fromEquirectangular(texture);
+                texture.dispose();
+            } catch (error) {
+                console.warn(`⚠️ HDRI ${environment.file} failed, using procedural studio environment`, error);
+                renderTarget = this.createProceduralTarget();
+                fallback = true;
+            }
+        }
+
+        // A newer switch finished first - drop this result
+        if (token !== this.loadToken) {
+            renderTarget.dispose();
+            return { fallback, cancelled: true };
+        }
+
+        const previous = this.renderTarget;
+        this.renderTarget = renderTarget;
+        this.currentKey = key;
+        this.usedFallback = fallback;
+        this.apply();
+        if (previous) previous.dispose();
+
+        console.log(`✅ Environment "${environment.title}" ready${fallback ? ' (fallback)' : ''}`);
+        return { fallback, cancelled: false };
+    }
+
+    createProceduralTarget() {
+        // RoomEnvironment needs no downloads, so it works fully offline
+        const roomEnvironment = new RoomEnvironment();
+        const renderTarget = this.pmremGenerator.fromScene(roomEnvironment, 0.04);
+        roomEnvironment.dispose();
+        return renderTarget;
+    }
+
+    setRotation(degrees) {
+        this.rotation = degrees;
+        this.apply();
+    }
+
+    setIntensity(intensity) {
+        this.intensity = intensity;
+        this.apply();
+    }
+
+    setBackgroundMode(mode) {
+        if (!BACKGROUND_MODES.includes(mode)) return;
+        this.backgroundMode = mode;
+        this.apply();
+    }
+
+    apply() {
+        const radians = THREE.MathUtils.degToRad(this.rotation);
+
+        this.scene.environment = this.texture;
+        this.scene.environmentIntensity = this.intensity;
+        this.scene.environmentRotation.set(0, radians, 0);
+
+        if (this.backgroundMode === 'color' || !this.texture) {
+            this.scene.background = this.backgroundColor;
+        } else {
+            this.scene.background = this.texture;
+            this.scene.backgroundBlurriness = this.backgroundMode === 'blurred' ? BLURRED_BACKGROUND : 0;
+            this.scene.backgroundIntensity = this.intensity;
+            this.scene.backgroundRotation.set(0, radians, 0);
+        }
+    }
+
+    dispose() {
+        this.loadToken++;
+        if (this.renderTarget) this.renderTarget.dispose();
+        this.renderTarget = null;
+        this.pmremGenerator.dispose();
+    }
+}
@@ -0,0 +1,190 @@
+import * as THREE from 'three';
+
+/**
+ * 📸 RENDER EXPORT
+ * Renders stills and turntables offscreen at an arbitrary resolution by
+ * temporarily resizing the renderer and every post-processing pass, so the
+ * output has none of the glass UI and is not limited to the window size.
+ *
+ * Transparent output renders directly (bypassing the composer): bloom and
+ * SSAO write opaque alpha, which would defeat the point.
+ */
+
+export const EXPORT_RESOLUTIONS = {
+    '1080p': [1920, 1080],
+    '1440p': [2560, 1440],
+    '4k': [3840, 2160],
+    'square-2k': [2048, 2048],
+    'portrait-4k': [2160, 3840]
+};
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+function canvasToBlob(canvas, type = 'image/png') {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas capture failed'))), type);
+    });
+}
+
+const nextFrame = () => new Promise(resolve => requestAnimationFrame(resolve));
+
+export class RenderExporter {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.busy = false;
+        this.cancelled = false;
+    }
+
+    // Larger sizes than the GPU can allocate fail silently, so clamp them
+    clampSize(width, height) {
+        const max = this.viewer.renderer.capabilities.maxTextureSize;
+        const scale = Math.min(1, max / Math.max(width, height));
+        if (scale < 1) {
+            console.warn(`⚠️ Export size ${width}×${height} exceeds GPU limit ${max}, scaling down`);
+        }
+        return [Math.floor(width * scale), Math.floor(height * scale)];
+    }
+
+    /**
+     * Runs `callback` with the renderer resized to width×height and the
+     * interactive loop paused, then restores everything.
+     */
+    async withExportSetup({ width, height, transparent }, callback) {
+        const { renderer, scene, camera } = this.viewer;
+        [width, height] = this.clampSize(width, height);
+
+        const saved = {
+            pixelRatio: renderer.getPixelRatio(),
+            size: renderer.getSize(new THREE.Vector2()),
+            aspect: camera.aspect,
+            background: scene.background,
+            clearAlpha: renderer.getClearAlpha()
+        };
+
+        this.busy = true;
+        this.cancelled = false;
+        this.viewer.exporting = true;
+
+        try {
+            renderer.setPixelRatio(1);
+            this.viewer.setRenderSize(width, height, false);
+
+            if (transparent) {
+                scene.background = null;
+                renderer.setClearAlpha(0);
+            }
+
+            return await callback({ width, height });
+        } finally {
+            scene.background = saved.background;
+            renderer.setClearAlpha(saved.clearAlpha);
+            renderer.setPixelRatio(saved.pixelRatio);
+            this.viewer.setRenderSize(saved.size.x, saved.size.y);
+            camera.aspect = saved.aspect;
+            camera.updateProjectionMatrix();
+
+            this.viewer.exporting = false;
+            this.busy = false;
+        }
+    }
+
+    render(transparent) {
+        this.viewer.renderFrame({ direct: transparent });
+    }
+
+    async captureStill({ width, height, transparent = false }) {
+        return this.withExportSetup({ width, height, transparent }, async () => {
+            this.render(transparent);
+            // toBlob snapshots the drawing buffer synchronously
+            return canvasToBlob(this.viewer.renderer.domElement);
+        });
+    }
+
+    /**
+     * Orbits the camera once around controls.target. `format` is 'webm'
+     * (MediaRecorder) or 'png' (each frame handed to `onFrame`).
+     */
+    async recordTurntable({ width, height, frames = 120, fps = 30, format = 'webm', transparent = false, onFrame, onProgress }) {
+        const { camera, controls } = this.viewer;
+
+        const startPosition = camera.position.clone();
+        const target = controls.target.clone();
+        const offset = startPosition.clone().sub(target);
+        const radius = Math.hypot(offset.x, offset.z);
+        const startAngle = Math.atan2(offset.x, offset.z);
+        const autoRotate = controls.autoRotate;
+        controls.autoRotate = false;
+
+        const placeCamera = (i) => {
+            const angle = startAngle + (i / frames) * Math.PI * 2;
+            camera.position.set(
+                target.x + Math.sin(angle) * radius,
+                startPosition.y,
+                target.z + Math.cos(angle) * radius
+            );
+            camera.lookAt(target);
+        };
+
+        try {
+            return await this.withExportSetup({ width, height, transparent: format === 'png' && transparent }, async () => {
+                if (format === 'webm') {
+                    return this.recordWebM({ frames, fps, placeCamera, onProgress });
+                }
+
+                for (let i = 0; i < frames && !this.cancelled; i++) {
+                    placeCamera(i);
+                    this.render(transparent);
+                    const blob = await canvasToBlob(this.viewer.renderer.domElement);
+                    await onFrame(blob, i);
+                    if (onProgress) onProgress((i + 1) / frames);
+                }
+                return null;
+            });
+        } finally {
+            camera.position.copy(startPosition);
+            controls.autoRotate = autoRotate;
+            controls.update();
+        }
+    }
+
+    async recordWebM({ frames, fps, placeCamera, onProgress }) {
+        const mimeType = WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        if (!mimeType) throw new Error('This browser cannot record WebM video');
+
+        // captureStream(0) only emits a frame when requestFrame() is called
+        const stream = this.viewer.renderer.domElement.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 40_000_000 });
+        const chunks = [];
+        recorder.ondataavailable = (e) => {
+            if (e.data.size) chunks.push(e.data);
+        };
+        const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+        recorder.start();
+        const frameDuration = 1000 / fps;
+
+        for (let i = 0; i < frames && !this.cancelled; i++) {
+            const frameStart = performance.now();
+            placeCamera(i);
+            this.render(false);
+            track.requestFrame();
+            if (onProgress) onProgress((i + 1) / frames);
+
+            // MediaRecorder timestamps frames in real time, so pace them
+            const remaining = frameDuration - (performance.now() - frameStart);
+            if (remaining > 0) await new Promise(resolve => setTimeout(resolve, remaining));
+            else await nextFrame();
+        }
+
+        recorder.stop();
+        await stopped;
+        track.stop();
+
+        return this.cancelled ? null : new Blob(chunks, { type: 'video/webm' });
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+}
@@ -0,0 +1,130 @@
+import { PhotorealisticViewer } from '../app.js';
+import { VIEWER_TEMPLATE } from './viewer-template.js';
+
+/**
+ * 🖼️ <gallery-viewer>
+ * The viewer as a custom element, so it can be dropped into any page, more
+ * than once. Its panels live in a shadow root, and it is sized by the
+ * element (480px tall unless the page says otherwise).
+ *
+ *   <script src="src/asset-config.js"></script>
+ *   <script type="module" src="src/gallery-viewer.js"></script>
+ *   <gallery-viewer model="sneaker" environment="studio" ui="minimal"></gallery-viewer>
+ *
+ * Attributes
+ *   manifest     gallery manifest URL (default: see findManifestSource)
+ *   model        model key to show; changing it loads that model
+ *   environment  environment key; changing it switches the HDRI
+ *   ui           "full" (default), "minimal" (model picker, camera
+ *                presets and stats) or "none" (just the canvas)
+ *   url-state    keep the view in the page's URL hash (one viewer per page)
+ *   settings-key where the visitor's settings are saved (default: one
+ *                entry per manifest); give viewers their own to keep apart
+ *
+ * API (methods wait for the viewer to finish starting up)
+ *   loadModel(key)                    → Promise, rejects if it fails to load
+ *   setCameraPreset(name)             front, side, top, closeup or the model's own
+ *   setExposure(value)                tone-mapping exposure (not saved)
+ *   screenshot({ width, height, transparent }) → Promise<Blob> (PNG)
+ *   dispose()                         frees the GPU; also done on removal
+ *   viewer                            the PhotorealisticViewer underneath
+ *
+ * Events (CustomEvent, details in brackets)
+ *   load          a model is on screen { model, title, triangles }
+ *   progress      model download { model, progress: 0..1 }
+ *   error         manifest or model failed { model, error }
+ *   camerachange  the camera moved { position, target }
+ */
+
+const STYLESHEET = new URL('../style.css', import.meta.url).href;
+
+export class GalleryViewerElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['model', 'environment'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.viewer = null;
+    }
+
+    connectedCallback() {
+        if (this.viewer) return;
+
+        this.shadowRoot.innerHTML = `<link rel="stylesheet" href="${STYLESHEET}">${VIEWER_TEMPLATE}`;
+        this.viewer = new PhotorealisticViewer({
+            root: this.shadowRoot,
+            host: this,
+            manifest: this.getAttribute('manifest') || undefined,
+            model: this.getAttribute('model'),
+            environment: this.getAttribute('environment'),
+            urlState: this.hasAttribute('url-state'),
+            settingsKey: this.getAttribute('settings-key')
+        });
+    }
+
+    disconnectedCallback() {
+        this.dispose();
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        // Attributes present at start-up are passed to the viewer directly
+        if (!this.viewer || oldValue === value || !value) return;
+
+        this.whenReady().then((viewer) => {
+            if (name === 'model' && value !== viewer.currentModelKey) {
+                this.loadModel(value).catch(() => { /* reported as an 'error' event */ });
+            } else if (name === 'environment' && value in viewer.manifest.environments) {
+                // The page's choice, not the visitor's: not saved
+                viewer.settings.set({ environment: value }, { save: false });
+            }
+        }, () => {});
+    }
+
+    async whenReady() {
+        if (!this.viewer) throw new Error('The viewer has been disposed');
+        return this.viewer.ready;
+    }
+
+    async loadModel(key) {
+        const viewer = await this.whenReady();
+        viewer.scheduleUrlUpdate({ push: true });
+        return viewer.loadModel(key);
+    }
+
+    async setCameraPreset(name) {
+        const viewer = await this.whenReady();
+        if (!viewer.setCameraPreset(name)) throw new Error(`Unknown camera preset "${name}"`);
+        viewer.scheduleUrlUpdate({ push: true });
+    }
+
+    async setExposure(value) {
+        const viewer = await this.whenReady();
+        viewer.setExposure(value);
+        viewer.scheduleUrlUpdate();
+    }
+
+    async screenshot(options) {
+        const viewer = await this.whenReady();
+        return viewer.screenshot(options);
+    }
+
+    /**
+     * Releases the viewer and empties the element. A viewer still starting
+     * up stops at its next step, before a new one (the element was put back
+     * into the page) takes over the shadow root.
+     */
+    dispose() {
+        const viewer = this.viewer;
+        if (!viewer) return;
+        this.viewer = null;
+
+        viewer.dispose();
+        viewer.ready.catch(() => {}).then(() => {
+            if (!this.viewer) this.shadowRoot.replaceChildren();
+        });
+    }
+}
+
+customElements.define('gallery-viewer', GalleryViewerElement);
@@ -0,0 +1,99 @@
+import * as THREE from 'three';
+
+/**
+ * ⌨️ KEYBOARD
+ * The viewer's shortcut table and keyboard orbiting for the canvas. Shortcuts
+ * work anywhere inside the viewer except while typing into a form field; orbit
+ * and zoom keys only apply while the canvas has focus, so arrow keys still
+ * move sliders and scroll the panels everywhere else.
+ */
+
+// `action` is interpreted by the viewer; `value` is its argument
+export const SHORTCUTS = [
+    { key: '1', action: 'preset', value: 'front', description: 'Front view' },
+    { key: '2', action: 'preset', value: 'side', description: 'Side view' },
+    { key: '3', action: 'preset', value: 'top', description: 'Top view' },
+    { key: '4', action: 'preset', value: 'closeup', description: 'Close-up view' },
+    { key: '[', action: 'model', value: -1, description: 'Previous model' },
+    { key: ']', action: 'model', value: 1, description: 'Next model' },
+    { key: 'o', action: 'toggle', value: 'toggle-ssao', description: 'Toggle SSAO' },
+    { key: 'b', action: 'toggle', value: 'toggle-bloom', description: 'Toggle bloom' },
+    { key: 'h', action: 'toggle', value: 'toggle-shadows', description: 'Toggle shadows' },
+    { key: 't', action: 'toggle', value: 'toggle-autorotate', description: 'Toggle auto-rotate' },
+    { key: 'r', action: 'reset', description: 'Reset camera' },
+    { key: '?', action: 'help', description: 'Show controls' }
+];
+
+// Keys that orbit (azimuth, polar) or zoom while the canvas has focus
+const ORBIT_KEYS = {
+    ArrowLeft: { azimuth: -1 }, a: { azimuth: -1 },
+    ArrowRight: { azimuth: 1 }, d: { azimuth: 1 },
+    ArrowUp: { polar: -1 }, w: { polar: -1 },
+    ArrowDown: { polar: 1 }, s: { polar: 1 },
+    '+': { zoom: 1 }, '=': { zoom: 1 }, PageUp: { zoom: 1 },
+    '-': { zoom: -1 }, _: { zoom: -1 }, PageDown: { zoom: -1 }
+};
+
+const ORBIT_STEP = THREE.MathUtils.degToRad(5);
+const ZOOM_STEP = 0.9; // distance factor per zoom-in press
+const FAST_FACTOR = 3; // with Shift held
+
+const NON_TEXT_INPUTS = ['checkbox', 'radio', 'range', 'button', 'color', 'file'];
+
+const isTyping = target =>
+    target instanceof HTMLElement && (
+        target.isContentEditable ||
+        ['SELECT', 'TEXTAREA'].includes(target.tagName) ||
+        (target.tagName === 'INPUT' && !NON_TEXT_INPUTS.includes(target.type))
+    );
+
+const keyOf = event => (event.key.length === 1 ? event.key.toLowerCase() : event.key);
+
+/**
+ * The shortcut for a keydown event, or null. Modified keys (other than
+ * Shift, which some layouts need for '?' or '[') belong to the browser.
+ */
+export function findShortcut(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey || isTyping(event.target)) return null;
+    const key = keyOf(event);
+    return SHORTCUTS.find(shortcut => shortcut.key === key) || null;
+}
+
+// { azimuth, polar, zoom } steps for a keydown on the canvas, or null
+export function findOrbitStep(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return null;
+    const step = ORBIT_KEYS[keyOf(event)];
+    if (!step) return null;
+
+    const factor = event.shiftKey ? FAST_FACTOR : 1;
+    return {
+        azimuth: (step.azimuth || 0) * factor,
+        polar: (step.polar || 0) * factor,
+        zoom: (step.zoom || 0) * factor
+    };
+}
+
+/**
+ * Moves the camera around the OrbitControls target, within the controls'
+ * polar and distance limits. The controls pick the new position up on
+ * their next update.
+ */
+export function orbitCamera(camera, controls, { azimuth = 0, polar = 0, zoom = 0 }) {
+    const offset = camera.position.clone().sub(controls.target);
+    const spherical = new THREE.Spherical().setFromVector3(offset);
+
+    spherical.theta += azimuth * ORBIT_STEP;
+    spherical.phi = THREE.MathUtils.clamp(
+        spherical.phi + polar * ORBIT_STEP,
+        Math.max(controls.minPolarAngle, 0.01),
+        Math.min(controls.maxPolarAngle, Math.PI - 0.01)
+    );
+    spherical.radius = THREE.MathUtils.clamp(
+        spherical.radius * ZOOM_STEP ** zoom,
+        controls.minDistance,
+        controls.maxDistance
+    );
+
+    camera.position.copy(controls.target).add(offset.setFromSpherical(spherical));
+    camera.lookAt(controls.target);
+}
@@ -0,0 +1,52 @@
+/**
+ * 💡 LIGHTING PRESETS
+ * Built-in studio rigs. Each light has a type, a colour temperature in
+ * kelvin (or a `color`), an intensity and, for lights that have one, a
+ * position in stage coordinates (the model stands on y = 0, about two units
+ * tall). Only shadow casters need the shadow settings. The manifest can add
+ * its own presets in the same shape (see `lightingPresets` in manifest.js).
+ */
+
+export const DEFAULT_LIGHTING = 'museum';
+
+export const LIGHTING_PRESETS = {
+    // The viewer's original rig: warm key, cool fill, soft rim
+    museum: {
+        title: 'Museum',
+        lights: [
+            { type: 'ambient', temperature: 5600, intensity: 0.5 },
+            { type: 'directional', name: 'Key', temperature: 6000, intensity: 1.2, position: [4, 6, 3], castShadow: true, shadowRadius: 2, shadowBias: -0.0001 },
+            { type: 'directional', name: 'Fill', temperature: 9500, intensity: 0.3, position: [-3, 2, 2] },
+            { type: 'directional', name: 'Rim', temperature: 4300, intensity: 0.25, position: [0, 2, -4] }
+        ]
+    },
+    'white-box': {
+        title: 'Product White-Box',
+        lights: [
+            { type: 'hemisphere', temperature: 6500, groundTemperature: 6000, intensity: 1.1 },
+            { type: 'directional', name: 'Top', temperature: 6500, intensity: 1.0, position: [1, 8, 2], castShadow: true, shadowRadius: 8, shadowBias: -0.0002 },
+            { type: 'directional', name: 'Left', temperature: 6500, intensity: 0.6, position: [-5, 3, 3] },
+            { type: 'directional', name: 'Right', temperature: 6500, intensity: 0.6, position: [5, 3, 3] },
+            { type: 'directional', name: 'Back', temperature: 6500, intensity: 0.4, position: [0, 4, -5] }
+        ]
+    },
+    'dramatic-rim': {
+        title: 'Dramatic Rim',
+        lights: [
+            { type: 'ambient', temperature: 8000, intensity: 0.05 },
+            { type: 'spot', name: 'Key', temperature: 3200, intensity: 60, position: [3, 4, 2], target: [0, 1, 0], angle: 30, penumbra: 0.6, castShadow: true, shadowRadius: 3, shadowBias: -0.0002 },
+            { type: 'directional', name: 'Rim left', temperature: 7500, intensity: 2.0, position: [-3, 3, -4] },
+            { type: 'directional', name: 'Rim right', temperature: 7500, intensity: 1.6, position: [3, 2.5, -4] }
+        ]
+    },
+    daylight: {
+        title: 'Daylight',
+        lights: [
+            { type: 'hemisphere', temperature: 10000, groundTemperature: 4500, intensity: 0.8 },
+            { type: 'directional', name: 'Sun', temperature: 5500, intensity: 2.2, position: [6, 10, 4], castShadow: true, shadowRadius: 1, shadowBias: -0.0002 },
+            { type: 'directional', name: 'Sky bounce', temperature: 12000, intensity: 0.3, position: [-4, 3, -2] }
+        ]
+    }
+};
+
+export const LIGHT_TYPES = ['ambient', 'hemisphere', 'directional', 'spot', 'point'];
@@ -0,0 +1,305 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+
+/**
+ * 💡 LIGHTING RIG
+ * The studio lights, built from a preset (see src/lighting-presets.js) and
+ * editable afterwards: lights can be added, removed, re-coloured and
+ * dragged around with a gizmo. Each light keeps the spec it was built from,
+ * so the edited rig can be exported back out as a preset.
+ *
+ * All lights (and their targets) live in one group, which turns about Y
+ * for the rotation slider and the environment rotation, and moves as a
+ * whole when AR places the model somewhere else.
+ */
+
+const HELPER_SIZE = 0.4;
+const SHADOW_EXTENT = 5; // half-size of the directional shadow camera
+const DEFAULT_SPOT_TARGET = [0, 1, 0];
+
+/**
+ * Approximate sRGB colour of a black body at `kelvin` (Tanner Helland's
+ * fit, good from about 1000 K to 40000 K).
+ */
+export function kelvinToColor(kelvin, target = new THREE.Color()) {
+    const t = THREE.MathUtils.clamp(kelvin, 1000, 40000) / 100;
+
+    const red = t <= 66 ? 255 : 329.698727446 * (t - 60) ** -0.1332047592;
+    const green = t <= 66 ?
+        99.4708025861 * Math.log(t) - 161.1195681661 :
+        288.1221695283 * (t - 60) ** -0.0755148492;
+    let blue = 255;
+    if (t <= 19) blue = 0;
+    else if (t < 66) blue = 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+
+    const channel = value => THREE.MathUtils.clamp(value, 0, 255) / 255;
+    return target.setRGB(channel(red), channel(green), channel(blue), THREE.SRGBColorSpace);
+}
+
+function createLight(type) {
+    switch (type) {
+        case 'ambient':
+            return new THREE.AmbientLight();
+        case 'hemisphere':
+            return new THREE.HemisphereLight();
+        case 'spot':
+            return new THREE.SpotLight();
+        case 'point':
+            return new THREE.PointLight();
+        case 'directional': {
+            const light = new THREE.DirectionalLight();
+            const camera = light.shadow.camera;
+            camera.near = 0.1;
+            camera.far = 20;
+            camera.left = -SHADOW_EXTENT;
+            camera.right = SHADOW_EXTENT;
+            camera.top = SHADOW_EXTENT;
+            camera.bottom = -SHADOW_EXTENT;
+            return light;
+        }
+        default:
+            throw new Error(`Unknown light type "${type}"`);
+    }
+}
+
+function createHelper(light) {
+    if (light.isDirectionalLight) return new THREE.DirectionalLightHelper(light, HELPER_SIZE);
+    if (light.isSpotLight) return new THREE.SpotLightHelper(light);
+    if (light.isPointLight) return new THREE.PointLightHelper(light, HELPER_SIZE / 2);
+    if (light.isHemisphereLight) return new THREE.HemisphereLightHelper(light, HELPER_SIZE);
+    return null; // ambient light has nowhere to be
+}
+
+export class LightingRig {
+    constructor({ scene, camera, domElement, orbitControls }) {
+        this.scene = scene;
+        this.orbitControls = orbitControls;
+
+        this.group = new THREE.Group();
+        this.group.name = 'lighting-rig';
+        this.scene.add(this.group);
+
+        // Helpers follow the lights' world matrices, so they sit outside the group
+        this.helpers = new THREE.Group();
+        this.helpers.name = 'lighting-helpers';
+        this.helpers.visible = false;
+        this.scene.add(this.helpers);
+
+        this.entries = []; // { spec, light, helper }
+        this.presetKey = null;
+        this.intensityScale = 1;
+        this.rotation = 0; // degrees about Y
+        this.shadowsEnabled = true;
+        this.shadowMapSize = 1024;
+        this.selectedIndex = -1;
+
+        // On-screen gizmo to drag the selected light
+        this.gizmo = new TransformControls(camera, domElement);
+        this.gizmo.setSize(0.6);
+        this.gizmo.addEventListener('dragging-changed', (e) => {
+            this.orbitControls.enabled = !e.value;
+        });
+        this.gizmo.addEventListener('objectChange', () => this.syncFromGizmo());
+        this.gizmoHelper = this.gizmo.getHelper();
+        this.gizmoHelper.visible = false;
+        this.scene.add(this.gizmoHelper);
+
+        this.onChange = null; // called when a gizmo drag moves a light
+    }
+
+    get lights() {
+        return this.entries.map(entry => entry.light);
+    }
+
+    // The first shadow caster: what AR ground shadows rely on
+    get keyLight() {
+        const entry = this.entries.find(({ spec, light }) => spec.castShadow && light.shadow);
+        return entry ? entry.light : null;
+    }
+
+    // Editing aids that must not show up in the SSAO normal pass
+    get helperObjects() {
+        return [this.helpers, this.gizmoHelper];
+    }
+
+    // ===== PRESETS =====
+
+    load(preset, key = null) {
+        this.clear();
+        preset.lights.forEach(spec => this.add(spec));
+        this.presetKey = key;
+    }
+
+    // The rig as it stands, in preset form (for the manifest's lightingPresets)
+    toPreset(title) {
+        return { title, lights: this.entries.map(({ spec }) => structuredClone(spec)) };
+    }
+
+    // ===== LIGHTS =====
+
+    // Adds a light built from a copy of `spec`; returns its index
+    add(spec) {
+        const entry = { spec: structuredClone(spec), light: createLight(spec.type), helper: null };
+        this.group.add(entry.light);
+        // Targets ride along with the rig so directions turn and move with it
+        if (entry.light.target) this.group.add(entry.light.target);
+
+        entry.helper = createHelper(entry.light);
+        if (entry.helper) this.helpers.add(entry.helper);
+
+        this.entries.push(entry);
+        this.presetKey = null;
+        this.applySpec(entry);
+        return this.entries.length - 1;
+    }
+
+    remove(index) {
+        const entry = this.entries[index];
+        if (!entry) return;
+
+        if (this.selectedIndex === index) this.select(-1);
+        else if (this.selectedIndex > index) this.selectedIndex--;
+
+        this.group.remove(entry.light);
+        if (entry.light.target) this.group.remove(entry.light.target);
+        if (entry.helper) {
+            this.helpers.remove(entry.helper);
+            entry.helper.dispose();
+        }
+        entry.light.dispose(); // frees the shadow map
+
+        this.entries.splice(index, 1);
+        this.presetKey = null;
+    }
+
+    clear() {
+        while (this.entries.length) this.remove(this.entries.length - 1);
+    }
+
+    // Changes part of a light's spec, e.g. { temperature: 3200 }
+    update(index, changes) {
+        const entry = this.entries[index];
+        if (!entry) return;
+        Object.assign(entry.spec, changes);
+        this.presetKey = null;
+        this.applySpec(entry);
+    }
+
+    applySpec(entry) {
+        const { spec, light } = entry;
+
+        if (spec.color) light.color.set(spec.color);
+        else kelvinToColor(spec.temperature ?? 6500, light.color);
+        if (light.isHemisphereLight) {
+            if (spec.groundColor) light.groundColor.set(spec.groundColor);
+            else kelvinToColor(spec.groundTemperature ?? 4000, light.groundColor);
+        }
+
+        light.intensity = spec.intensity * this.intensityScale;
+        if (spec.position) light.position.fromArray(spec.position);
+
+        if (light.isSpotLight) {
+            light.angle = THREE.MathUtils.degToRad(spec.angle ?? 30);
+            light.penumbra = spec.penumbra ?? 0.5;
+            light.target.position.fromArray(spec.target || DEFAULT_SPOT_TARGET);
+        }
+        if (light.isSpotLight || light.isPointLight) light.distance = spec.distance ?? 0;
+
+        if (light.shadow) {
+            light.castShadow = Boolean(spec.castShadow) && this.shadowsEnabled;
+            light.shadow.radius = spec.shadowRadius ?? 1;
+            light.shadow.bias = spec.shadowBias ?? -0.0001;
+            this.applyShadowMapSize(light);
+        }
+
+        this.updateHelpers();
+    }
+
+    // ===== RIG-WIDE SETTINGS =====
+
+    setIntensityScale(scale) {
+        this.intensityScale = scale;
+        this.entries.forEach(({ spec, light }) => {
+            light.intensity = spec.intensity * scale;
+        });
+    }
+
+    setRotation(degrees) {
+        this.rotation = degrees;
+        this.group.rotation.y = THREE.MathUtils.degToRad(degrees);
+        this.updateHelpers();
+    }
+
+    setShadowsEnabled(enabled) {
+        this.shadowsEnabled = enabled;
+        this.entries.forEach(({ spec, light }) => {
+            if (light.shadow) light.castShadow = enabled && Boolean(spec.castShadow);
+        });
+    }
+
+    setShadowMapSize(size) {
+        this.shadowMapSize = size;
+        this.entries.forEach(({ light }) => {
+            if (light.shadow) this.applyShadowMapSize(light);
+        });
+    }
+
+    applyShadowMapSize(light) {
+        const shadow = light.shadow;
+        if (shadow.mapSize.x === this.shadowMapSize) return;
+        shadow.mapSize.set(this.shadowMapSize, this.shadowMapSize);
+        // Reallocated at the new size on the next shadow render
+        if (shadow.map) {
+            shadow.map.dispose();
+            shadow.map = null;
+        }
+    }
+
+    // ===== EDITOR =====
+
+    setHelpersVisible(visible) {
+        this.helpers.visible = visible;
+        this.updateHelpers();
+        this.select(this.selectedIndex);
+    }
+
+    // Attaches the gizmo to a light that has a position (helpers must be on)
+    select(index) {
+        this.selectedIndex = index;
+        const entry = this.entries[index];
+
+        if (!entry || !entry.spec.position || !this.helpers.visible) {
+            this.gizmo.detach();
+            this.gizmoHelper.visible = false;
+            return;
+        }
+
+        this.gizmo.attach(entry.light);
+        this.gizmoHelper.visible = true;
+    }
+
+    syncFromGizmo() {
+        const entry = this.entries[this.selectedIndex];
+        if (!entry) return;
+
+        entry.spec.position = entry.light.position.toArray().map(value => Math.round(value * 1000) / 1000);
+        this.presetKey = null;
+        this.updateHelpers();
+        if (this.onChange) this.onChange(this.selectedIndex, entry);
+    }
+
+    updateHelpers() {
+        if (!this.helpers.visible) return;
+        this.group.updateMatrixWorld(true);
+        this.entries.forEach(({ helper }) => {
+            if (helper) helper.update();
+        });
+    }
+
+    dispose() {
+        this.clear();
+        this.gizmo.detach();
+        this.gizmo.dispose();
+        this.scene.remove(this.group, this.helpers, this.gizmoHelper);
+    }
+}
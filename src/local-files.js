@@ -0,0 +1,146 @@
+import * as THREE from 'three';
+
+/**
+ * 📂 LOCAL FILE LOADING
+ * Turns dropped or picked files (a .glb, or a .gltf with its .bin and
+ * textures) into something GLTFLoader can load. Sibling resources are
+ * resolved through a LoadingManager URL modifier that maps the relative URIs
+ * inside the .gltf onto blob: URLs of the matching files.
+ */
+
+const MODEL_EXTENSIONS = ['.glb', '.gltf'];
+
+function extensionOf(name) {
+    const dot = name.lastIndexOf('.');
+    return dot === -1 ? '' : name.slice(dot).toLowerCase();
+}
+
+function basename(path) {
+    return path.slice(path.lastIndexOf('/') + 1);
+}
+
+// Collapses "./" and "../" segments so "textures/../a.bin" matches "a.bin"
+function normalizePath(path) {
+    const parts = [];
+    path.split('/').forEach((part) => {
+        if (part === '' || part === '.') return;
+        if (part === '..') parts.pop();
+        else parts.push(part);
+    });
+    return parts.join('/');
+}
+
+function readEntry(entry, prefix, files) {
+    if (entry.isFile) {
+        return new Promise((resolve, reject) => {
+            entry.file((file) => {
+                files.push({ file, path: prefix + file.name });
+                resolve();
+            }, reject);
+        });
+    }
+
+    if (entry.isDirectory) {
+        const reader = entry.createReader();
+        const readBatch = () => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+
+        // readEntries returns at most ~100 entries per call
+        const readAll = async () => {
+            const batch = await readBatch();
+            if (!batch.length) return;
+            await Promise.all(batch.map(child => readEntry(child, `${prefix}${entry.name}/`, files)));
+            await readAll();
+        };
+        return readAll();
+    }
+
+    return Promise.resolve();
+}
+
+/**
+ * Collects every file from a drop, descending into dropped folders so a
+ * whole asset directory (model + textures/) can be dropped at once.
+ */
+export async function collectDroppedFiles(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+        .filter(Boolean);
+
+    if (!entries.length) {
+        return Array.from(dataTransfer.files).map(file => ({ file, path: file.name }));
+    }
+
+    const files = [];
+    await Promise.all(entries.map(entry => readEntry(entry, '', files)));
+    return files;
+}
+
+/**
+ * Wraps picked files (from an <input type="file">) in the same shape as
+ * collectDroppedFiles. webkitRelativePath is set when a folder was picked.
+ */
+export function collectPickedFiles(fileList) {
+    return Array.from(fileList).map(file => ({ file, path: file.webkitRelativePath || file.name }));
+}
+
+/**
+ * A set of local files with one main .glb/.gltf. Call createManager() for
+ * each load and revoke() once it has finished.
+ */
+export class LocalAsset {
+    constructor(entries) {
+        this.files = new Map();
+        this.byName = new Map();
+        this.objectUrls = [];
+
+        entries.forEach(({ file, path }) => {
+            const key = normalizePath(path);
+            this.files.set(key, file);
+            if (!this.byName.has(file.name)) this.byName.set(file.name, file);
+        });
+
+        // Prefer a .gltf/.glb at the shallowest folder depth
+        this.mainPath = [...this.files.keys()]
+            .filter(path => MODEL_EXTENSIONS.includes(extensionOf(path)))
+            .sort((a, b) => a.split('/').length - b.split('/').length)[0] || null;
+
+        this.name = this.mainPath ? basename(this.mainPath) : null;
+    }
+
+    findFile(url) {
+        let path = url;
+        try {
+            path = decodeURI(url);
+        } catch (error) {
+            // Keep the raw URL if it is not valid percent-encoding
+        }
+        path = normalizePath(path);
+
+        return this.files.get(path) || this.byName.get(basename(path)) || null;
+    }
+
+    createManager() {
+        const manager = new THREE.LoadingManager();
+
+        manager.setURLModifier((url) => {
+            if (/^(data|blob):/.test(url)) return url;
+
+            const file = this.findFile(url);
+            if (!file) {
+                console.warn(`⚠️ Local file not found for "${url}"`);
+                return url;
+            }
+
+            const objectUrl = URL.createObjectURL(file);
+            this.objectUrls.push(objectUrl);
+            return objectUrl;
+        });
+
+        return manager;
+    }
+
+    revoke() {
+        this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        this.objectUrls = [];
+    }
+}
@@ -0,0 +1,455 @@
+import { LIGHTING_PRESETS, LIGHT_TYPES } from './lighting-presets.js';
+
+/**
+ * 📜 GALLERY MANIFEST
+ * Loads the JSON gallery manifest (URL or inline object) and validates it
+ * against a small declarative schema. Validation collects every problem at
+ * once so the content team gets one readable list instead of a crash.
+ */
+
+export class ManifestError extends Error {
+    constructor(message, errors = []) {
+        super(errors.length ? `${message}\n  • ${errors.join('\n  • ')}` : message);
+        this.name = 'ManifestError';
+        this.errors = errors;
+    }
+}
+
+// ===== SCHEMA =====
+
+const vec3 = { type: 'vec3' };
+
+const CAMERA_PRESET_SCHEMA = {
+    type: 'object',
+    properties: {
+        position: { ...vec3, required: true },
+        target: { ...vec3, required: true }
+    }
+};
+
+const MATERIAL_SCHEMA = {
+    type: 'object',
+    default: { mode: 'original' },
+    properties: {
+        // override: apply the values below, preserve: keep the file's values
+        // but lift envMapIntensity when it is too dim, original: untouched
+        mode: { type: 'enum', values: ['override', 'preserve', 'original'], default: 'original' },
+        roughness: { type: 'number', min: 0, max: 1 },
+        metalness: { type: 'number', min: 0, max: 1 },
+        envMapIntensity: { type: 'number', min: 0 },
+        minEnvMapIntensity: { type: 'number', min: 0 },
+        colorBoost: { type: 'number', min: 0 }
+    }
+};
+
+// Positions and normals are in the model file's own coordinates
+const ANNOTATION_SCHEMA = {
+    type: 'object',
+    properties: {
+        position: { ...vec3, required: true },
+        normal: { ...vec3, required: true },
+        title: { type: 'string', required: true },
+        body: { type: 'string' }
+    }
+};
+
+// Durations are in seconds; `duration` is the travel time from the
+// previous keyframe, `dwell` how long the camera holds this one
+const TOUR_KEYFRAME_SCHEMA = {
+    type: 'object',
+    properties: {
+        position: { ...vec3, required: true },
+        target: { ...vec3, required: true },
+        fov: { type: 'number', min: 1, max: 179 },
+        duration: { type: 'number', min: 0, default: 3 },
+        dwell: { type: 'number', min: 0, default: 0 },
+        caption: { type: 'string' }
+    }
+};
+
+const TOUR_SCHEMA = {
+    type: 'object',
+    properties: {
+        title: { type: 'string', required: true },
+        keyframes: { type: 'array', items: TOUR_KEYFRAME_SCHEMA, minItems: 2, required: true }
+    }
+};
+
+// One change of a variant: the materials of the mesh named `mesh` (or of
+// any mesh, when only `material` is given), optionally narrowed to the
+// material named `material`. Map paths resolve like model paths.
+const colorString = { type: 'string' }; // any CSS colour, e.g. "#c0392b"
+const mapPath = { type: 'string' };
+
+const VARIANT_CHANGE_SCHEMA = {
+    type: 'object',
+    properties: {
+        mesh: { type: 'string' },
+        material: { type: 'string' },
+        maps: {
+            type: 'object',
+            properties: {
+                map: mapPath,
+                normalMap: mapPath,
+                roughnessMap: mapPath,
+                metalnessMap: mapPath,
+                aoMap: mapPath,
+                emissiveMap: mapPath
+            }
+        },
+        color: colorString,
+        emissive: colorString,
+        roughness: { type: 'number', min: 0, max: 1 },
+        metalness: { type: 'number', min: 0, max: 1 },
+        envMapIntensity: { type: 'number', min: 0 },
+        emissiveIntensity: { type: 'number', min: 0 }
+    }
+};
+
+const VARIANT_SCHEMA = {
+    type: 'object',
+    properties: {
+        title: { type: 'string', required: true },
+        changes: { type: 'array', items: VARIANT_CHANGE_SCHEMA, minItems: 1, required: true }
+    }
+};
+
+// Same shape as the built-in presets in src/lighting-presets.js; colours
+// are a temperature in kelvin unless `color` is given
+const LIGHT_SCHEMA = {
+    type: 'object',
+    properties: {
+        type: { type: 'enum', values: LIGHT_TYPES, required: true },
+        name: { type: 'string' },
+        temperature: { type: 'number', min: 1000, max: 40000 },
+        color: colorString,
+        groundTemperature: { type: 'number', min: 1000, max: 40000 },
+        groundColor: colorString,
+        intensity: { type: 'number', min: 0, required: true },
+        position: vec3,
+        target: vec3,
+        angle: { type: 'number', min: 0, max: 90 },
+        penumbra: { type: 'number', min: 0, max: 1 },
+        distance: { type: 'number', min: 0 },
+        castShadow: { type: 'boolean' },
+        shadowRadius: { type: 'number', min: 0 },
+        shadowBias: { type: 'number' }
+    }
+};
+
+const LIGHTING_PRESET_SCHEMA = {
+    type: 'object',
+    properties: {
+        title: { type: 'string', required: true },
+        lights: { type: 'array', items: LIGHT_SCHEMA, minItems: 1, required: true }
+    }
+};
+
+export const MODEL_SCHEMA = {
+    type: 'object',
+    properties: {
+        path: { type: 'string', required: true },
+        // Lower-detail stand-ins (e.g. 1K, then 4K textures), loaded one
+        // after another before `path`, least detailed first; `preview` is
+        // the one-file form
+        preview: { type: 'string' },
+        previews: { type: 'array', items: { type: 'string' }, default: [] },
+        title: { type: 'string', required: true },
+        scale: { type: 'number', required: true, min: 0, exclusiveMin: true },
+        position: { ...vec3, default: [0, 0, 0] },
+        cameraPresets: {
+            type: 'object',
+            required: true,
+            values: CAMERA_PRESET_SCHEMA,
+            requiredKeys: ['front']
+        },
+        tours: { type: 'object', values: TOUR_SCHEMA, default: {} },
+        // A built-in lighting preset or one from the manifest's lightingPresets
+        lighting: { type: 'string' },
+        // Starting values for this model's sliders; the visitor's own win
+        settings: {
+            type: 'object',
+            default: {},
+            properties: {
+                exposure: { type: 'number', min: 0 },
+                lightIntensity: { type: 'number', min: 0 },
+                lightRotation: { type: 'number' }, // degrees
+                environmentRotation: { type: 'number' },
+                environmentIntensity: { type: 'number', min: 0 }
+            }
+        },
+        // Added to any KHR_materials_variants the file has
+        variants: { type: 'object', values: VARIANT_SCHEMA, default: {} },
+        material: MATERIAL_SCHEMA,
+        platformSize: { type: 'number', min: 0, exclusiveMin: true, default: 1.5 },
+        highPoly: { type: 'boolean', default: false },
+        // Metres per unit of the model file (glTF is metres, so usually 1)
+        unitScale: { type: 'number', min: 0, exclusiveMin: true, default: 1 },
+        annotations: { type: 'array', items: ANNOTATION_SCHEMA, default: [] },
+        details: {
+            type: 'object',
+            default: {},
+            properties: {
+                textureResolution: { type: 'string' },
+                materialType: { type: 'string' }
+            }
+        }
+    }
+};
+
+// HDRIs are resolved against the HDRI asset path (see src/asset-config.js);
+// `procedural` environments are generated in the browser instead
+const ENVIRONMENT_SCHEMA = {
+    type: 'object',
+    properties: {
+        title: { type: 'string', required: true },
+        file: { type: 'string' },
+        procedural: { type: 'enum', values: ['room'] }
+    }
+};
+
+export const MANIFEST_SCHEMA = {
+    type: 'object',
+    properties: {
+        version: { type: 'enum', values: [1], required: true },
+        defaultModel: { type: 'string' },
+        models: { type: 'object', required: true, values: MODEL_SCHEMA, minKeys: 1 },
+        defaultEnvironment: { type: 'string' },
+        // Extra lighting presets, alongside the built-in ones
+        lightingPresets: { type: 'object', values: LIGHTING_PRESET_SCHEMA, default: {} },
+        environments: {
+            type: 'object',
+            values: ENVIRONMENT_SCHEMA,
+            minKeys: 1,
+            default: {
+                studio: { title: 'Small Studio', file: 'studio_small_08_1k.hdr' }
+            }
+        }
+    }
+};
+
+// ===== VALIDATION =====
+
+function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function checkNumber(value, schema, path, errors) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${path}: expected a number, got ${describe(value)}`);
+        return;
+    }
+    if (schema.min !== undefined) {
+        const tooSmall = schema.exclusiveMin ? value <= schema.min : value < schema.min;
+        if (tooSmall) errors.push(`${path}: must be ${schema.exclusiveMin ? 'greater than' : 'at least'} ${schema.min}, got ${value}`);
+    }
+    if (schema.max !== undefined && value > schema.max) {
+        errors.push(`${path}: must be at most ${schema.max}, got ${value}`);
+    }
+}
+
+/**
+ * Validates `value` against `schema`, pushing human-readable messages into
+ * `errors`. Returns a copy with defaults filled in.
+ */
+export function validate(value, schema, path, errors) {
+    if (value === undefined) {
+        if (schema.required) errors.push(`${path}: is required`);
+        return schema.default !== undefined ? structuredClone(schema.default) : undefined;
+    }
+
+    switch (schema.type) {
+        case 'string':
+            if (typeof value !== 'string' || value.trim() === '') {
+                errors.push(`${path}: expected a non-empty string, got ${typeof value === 'string' ? '""' : describe(value)}`);
+            }
+            return value;
+
+        case 'number':
+            checkNumber(value, schema, path, errors);
+            return value;
+
+        case 'boolean':
+            if (typeof value !== 'boolean') errors.push(`${path}: expected true or false, got ${describe(value)}`);
+            return value;
+
+        case 'enum':
+            if (!schema.values.includes(value)) {
+                errors.push(`${path}: must be one of ${schema.values.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+            }
+            return value;
+
+        case 'vec3':
+            if (!Array.isArray(value) || value.length !== 3 || value.some(v => typeof v !== 'number' || !Number.isFinite(v))) {
+                errors.push(`${path}: expected an array of 3 numbers, got ${JSON.stringify(value)}`);
+            }
+            return value;
+
+        case 'array': {
+            if (!Array.isArray(value)) {
+                errors.push(`${path}: expected an array, got ${describe(value)}`);
+                return value;
+            }
+            if (schema.minItems && value.length < schema.minItems) {
+                errors.push(`${path}: needs at least ${schema.minItems} items, got ${value.length}`);
+            }
+            return value.map((item, i) => validate(item, schema.items, `${path}[${i}]`, errors));
+        }
+
+        case 'object': {
+            if (describe(value) !== 'object') {
+                errors.push(`${path}: expected an object, got ${describe(value)}`);
+                return value;
+            }
+
+            const result = {};
+
+            if (schema.values) {
+                // Map of arbitrary keys to one value schema (e.g. models, presets)
+                const keys = Object.keys(value);
+                if (schema.minKeys && keys.length < schema.minKeys) {
+                    errors.push(`${path}: needs at least ${schema.minKeys} entr${schema.minKeys === 1 ? 'y' : 'ies'}`);
+                }
+                (schema.requiredKeys || []).forEach((key) => {
+                    if (!(key in value)) errors.push(`${path}.${key}: is required`);
+                });
+                keys.forEach((key) => {
+                    result[key] = validate(value[key], schema.values, `${path}.${key}`, errors);
+                });
+                return result;
+            }
+
+            Object.entries(schema.properties).forEach(([key, propSchema]) => {
+                const child = validate(value[key], propSchema, `${path}.${key}`, errors);
+                if (child !== undefined) result[key] = child;
+            });
+            Object.keys(value).forEach((key) => {
+                if (!(key in schema.properties)) errors.push(`${path}.${key}: unknown field`);
+            });
+            return result;
+        }
+
+        default:
+            throw new Error(`Unknown schema type "${schema.type}" at ${path}`);
+    }
+}
+
+/**
+ * Validates a parsed manifest and returns a normalised copy. Model paths are
+ * resolved against `baseUrl` so a manifest can live next to its assets.
+ */
+export function parseManifest(data, baseUrl = document.baseURI) {
+    const errors = [];
+    const manifest = validate(data, { ...MANIFEST_SCHEMA, required: true }, 'manifest', errors);
+
+    if (!errors.length && manifest.defaultModel && !(manifest.defaultModel in manifest.models)) {
+        errors.push(`manifest.defaultModel: "${manifest.defaultModel}" is not one of the models (${Object.keys(manifest.models).join(', ')})`);
+    }
+    if (!errors.length && manifest.defaultEnvironment && !(manifest.defaultEnvironment in manifest.environments)) {
+        errors.push(`manifest.defaultEnvironment: "${manifest.defaultEnvironment}" is not one of the environments (${Object.keys(manifest.environments).join(', ')})`);
+    }
+    if (!errors.length) {
+        Object.entries(manifest.environments).forEach(([key, environment]) => {
+            if (!environment.file === !environment.procedural) {
+                errors.push(`manifest.environments.${key}: needs exactly one of "file" or "procedural"`);
+            }
+        });
+    }
+
+    if (!errors.length) {
+        const lightingPresets = { ...LIGHTING_PRESETS, ...manifest.lightingPresets };
+        Object.entries(manifest.models).forEach(([key, model]) => {
+            if (model.lighting && !(model.lighting in lightingPresets)) {
+                errors.push(`manifest.models.${key}.lighting: "${model.lighting}" is not one of the lighting presets (${Object.keys(lightingPresets).join(', ')})`);
+            }
+            Object.entries(model.variants).forEach(([variantKey, variant]) => {
+                variant.changes.forEach((change, i) => {
+                    if (!change.mesh && !change.material) {
+                        errors.push(`manifest.models.${key}.variants.${variantKey}.changes[${i}]: needs "mesh" or "material"`);
+                    }
+                });
+                if (variantKey === 'original') {
+                    errors.push(`manifest.models.${key}.variants.original: "original" is reserved for the model as loaded`);
+                }
+                if (variantKey.startsWith('gltf:')) {
+                    errors.push(`manifest.models.${key}.variants.${variantKey}: keys starting with "gltf:" are reserved for the file's own variants`);
+                }
+            });
+        });
+    }
+
+    if (errors.length) {
+        throw new ManifestError(`Gallery manifest is invalid (${errors.length} problem${errors.length === 1 ? '' : 's'})`, errors);
+    }
+
+    Object.values(manifest.models).forEach((model) => {
+        model.path = new URL(model.path, baseUrl).href;
+        model.previews = [...(model.preview ? [model.preview] : []), ...model.previews]
+            .map(preview => new URL(preview, baseUrl).href);
+        delete model.preview;
+        Object.values(model.variants).forEach(({ changes }) => changes.forEach(({ maps }) => {
+            Object.keys(maps || {}).forEach((slot) => {
+                maps[slot] = new URL(maps[slot], baseUrl).href;
+            });
+        }));
+    });
+    manifest.defaultModel = manifest.defaultModel || Object.keys(manifest.models)[0];
+    manifest.defaultEnvironment = manifest.defaultEnvironment || Object.keys(manifest.environments)[0];
+
+    return manifest;
+}
+
+/**
+ * Picks the manifest for this page: an inline
+ * <script type="application/json" id="gallery-manifest"> block wins, then a
+ * ?manifest=<url> query parameter, then ./gallery.json.
+ */
+export function findManifestSource() {
+    const inline = document.getElementById('gallery-manifest');
+    if (inline) return inline;
+
+    const param = new URLSearchParams(window.location.search).get('manifest');
+    return param || './gallery.json';
+}
+
+/**
+ * Loads a manifest from a URL or an inline JSON <script>, or validates an
+ * already-parsed object.
+ */
+export async function loadManifest(source) {
+    if (source instanceof HTMLScriptElement) {
+        let data;
+        try {
+            data = JSON.parse(source.textContent);
+        } catch (error) {
+            throw new ManifestError(`Inline gallery manifest #${source.id} is not valid JSON: ${error.message}`);
+        }
+        return parseManifest(data);
+    }
+
+    if (source && typeof source === 'object') {
+        return parseManifest(source);
+    }
+
+    const url = new URL(source, document.baseURI).href;
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        throw new ManifestError(`Could not fetch gallery manifest from ${url}: ${error.message}`);
+    }
+    if (!response.ok) {
+        throw new ManifestError(`Could not fetch gallery manifest from ${url}: HTTP ${response.status}`);
+    }
+
+    let data;
+    try {
+        data = await response.json();
+    } catch (error) {
+        throw new ManifestError(`Gallery manifest at ${url} is not valid JSON: ${error.message}`);
+    }
+
+    return parseManifest(data, url);
+}
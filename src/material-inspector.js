@@ -0,0 +1,136 @@
+import * as THREE from 'three';
+
+/**
+ * 🎛️ MATERIAL INSPECTOR
+ * Indexes every mesh/material pair of the loaded model so the material panel
+ * edits the part the user picked instead of whichever material a traversal
+ * happened to see last. Texture slots can be switched off and back on; the
+ * removed textures are kept here until they are restored.
+ */
+
+export const TEXTURE_SLOTS = [
+    { key: 'map', label: 'Base Colour' },
+    { key: 'normalMap', label: 'Normal' },
+    { key: 'roughnessMap', label: 'Roughness' },
+    { key: 'metalnessMap', label: 'Metalness' },
+    { key: 'aoMap', label: 'Ambient Occlusion' },
+    { key: 'emissiveMap', label: 'Emissive' }
+];
+
+const HIGHLIGHT_COLOR = 0x8b7fff;
+
+export class MaterialInspector {
+    constructor(scene) {
+        this.scene = scene;
+        this.entries = [];
+        this.selectedIndex = -1;
+        this.highlight = null;
+        this.highlightVisible = false;
+        this.disabledMaps = new Map(); // material -> { slot: texture }
+    }
+
+    get selected() {
+        return this.entries[this.selectedIndex] || null;
+    }
+
+    get selectedMaterial() {
+        return this.selected ? this.selected.material : null;
+    }
+
+    setModel(model) {
+        this.clear();
+
+        const users = new Map();
+        model.traverse((child) => {
+            if (!child.isMesh || !child.material) return;
+
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach((material, slot) => {
+                users.set(material, (users.get(material) || 0) + 1);
+                this.entries.push({
+                    mesh: child,
+                    material,
+                    slot,
+                    label: `${child.name || 'Mesh'} · ${material.name || `Material ${slot + 1}`}`
+                });
+            });
+        });
+
+        this.entries.forEach((entry) => {
+            entry.sharedBy = users.get(entry.material);
+        });
+
+        if (this.entries.length) this.select(0);
+    }
+
+    select(index) {
+        if (!this.entries[index]) return null;
+        this.selectedIndex = index;
+
+        if (this.highlight) {
+            this.scene.remove(this.highlight);
+            this.highlight.dispose();
+        }
+        this.highlight = new THREE.BoxHelper(this.selected.mesh, HIGHLIGHT_COLOR);
+        this.highlight.visible = this.highlightVisible;
+        this.scene.add(this.highlight);
+
+        return this.selected;
+    }
+
+    setHighlightVisible(visible) {
+        this.highlightVisible = visible;
+        if (this.highlight) {
+            this.highlight.update();
+            this.highlight.visible = visible;
+        }
+    }
+
+    hasTexture(material, slot) {
+        return Boolean(material[slot] || this.disabledMaps.get(material)?.[slot]);
+    }
+
+    isTextureEnabled(material, slot) {
+        return Boolean(material[slot]);
+    }
+
+    setTextureEnabled(material, slot, enabled) {
+        const stash = this.disabledMaps.get(material) || {};
+
+        if (enabled && stash[slot]) {
+            material[slot] = stash[slot];
+            delete stash[slot];
+        } else if (!enabled && material[slot]) {
+            stash[slot] = material[slot];
+            material[slot] = null;
+        } else {
+            return;
+        }
+
+        this.disabledMaps.set(material, stash);
+        // Adding or removing a map changes the shader defines
+        material.needsUpdate = true;
+    }
+
+    // Puts every switched-off texture back so disposal sees it
+    restoreTextures() {
+        this.disabledMaps.forEach((stash, material) => {
+            Object.entries(stash).forEach(([slot, texture]) => {
+                material[slot] = texture;
+            });
+            material.needsUpdate = true;
+        });
+        this.disabledMaps.clear();
+    }
+
+    clear() {
+        this.restoreTextures();
+        if (this.highlight) {
+            this.scene.remove(this.highlight);
+            this.highlight.dispose();
+            this.highlight = null;
+        }
+        this.entries = [];
+        this.selectedIndex = -1;
+    }
+}
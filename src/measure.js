@@ -0,0 +1,242 @@
+import * as THREE from 'three';
+
+/**
+ * 📏 MEASUREMENT TOOLS
+ * Real-world dimensions for the loaded model. loadModel rescales every model
+ * to fit the stage, so scene units mean nothing on their own; the viewer
+ * passes `metersPerSceneUnit` (from the manifest's unitScale) to convert.
+ * Shows a bounding-box overlay with width/depth/height labels and a
+ * point-to-point tool that measures between two picked surface points.
+ */
+
+const LINE_COLOR = 0xff6b9d;
+const BOX_COLOR = 0x8b7fff;
+
+export const UNITS = {
+    cm: { label: 'cm', perMeter: 100 },
+    in: { label: 'in', perMeter: 39.3701 }
+};
+
+export function formatLength(meters, unit) {
+    const { label, perMeter } = UNITS[unit];
+    const value = meters * perMeter;
+    return `${value >= 100 ? value.toFixed(0) : value.toFixed(1)} ${label}`;
+}
+
+export class MeasureTool {
+    constructor({ scene, camera, layer }) {
+        this.scene = scene;
+        this.camera = camera;
+        this.layer = layer;
+
+        this.model = null;
+        this.metersPerSceneUnit = 1;
+        this.unit = 'cm';
+
+        this.group = new THREE.Group();
+        this.group.name = 'measurements';
+        this.group.renderOrder = 999;
+        this.scene.add(this.group);
+
+        this.raycaster = new THREE.Raycaster();
+        this.boxHelper = null;
+        this.dimensionsVisible = false;
+        this.dimensionLabels = [];
+
+        this.measurements = []; // { line, markers, label, start, end }
+        this.pendingPoint = null;
+        this.pendingMarker = null;
+
+        this.markerGeometry = new THREE.SphereGeometry(1, 16, 12);
+        this.overlayMaterial = new THREE.MeshBasicMaterial({ color: LINE_COLOR, depthTest: false, transparent: true });
+        this.lineMaterial = new THREE.LineBasicMaterial({ color: LINE_COLOR, depthTest: false, transparent: true });
+
+        this._projected = new THREE.Vector3();
+    }
+
+    setModel(model, metersPerSceneUnit) {
+        this.clearMeasurements();
+        this.model = model;
+        this.metersPerSceneUnit = metersPerSceneUnit;
+        this.updateDimensions();
+    }
+
+    clear() {
+        this.clearMeasurements();
+        this.model = null;
+        this.updateDimensions();
+    }
+
+    setUnit(unit) {
+        if (!UNITS[unit]) return;
+        this.unit = unit;
+        this.updateDimensions();
+        this.measurements.forEach(m => this.updateMeasurementLabel(m));
+    }
+
+    toMeters(sceneLength) {
+        return sceneLength * this.metersPerSceneUnit;
+    }
+
+    getDimensions() {
+        if (!this.model) return null;
+        const size = new THREE.Box3().setFromObject(this.model).getSize(new THREE.Vector3());
+        return {
+            width: this.toMeters(size.x),
+            height: this.toMeters(size.y),
+            depth: this.toMeters(size.z)
+        };
+    }
+
+    // ===== BOUNDING-BOX DIMENSIONS =====
+
+    setDimensionsVisible(visible) {
+        this.dimensionsVisible = visible;
+        this.updateDimensions();
+    }
+
+    updateDimensions() {
+        if (this.boxHelper) {
+            this.group.remove(this.boxHelper);
+            this.boxHelper.dispose();
+            this.boxHelper = null;
+        }
+        this.dimensionLabels.forEach(({ element }) => element.remove());
+        this.dimensionLabels = [];
+
+        if (!this.model || !this.dimensionsVisible) return;
+
+        const box = new THREE.Box3().setFromObject(this.model);
+        const size = box.getSize(new THREE.Vector3());
+        this.boxHelper = new THREE.Box3Helper(box, BOX_COLOR);
+        this.boxHelper.material.depthTest = false;
+        this.boxHelper.material.transparent = true;
+        this.group.add(this.boxHelper);
+
+        // Labels sit on the front-bottom edges and the front-right upright
+        const { min, max } = box;
+        const center = box.getCenter(new THREE.Vector3());
+        const edges = [
+            { name: 'W', length: size.x, anchor: new THREE.Vector3(center.x, min.y, max.z) },
+            { name: 'D', length: size.z, anchor: new THREE.Vector3(max.x, min.y, center.z) },
+            { name: 'H', length: size.y, anchor: new THREE.Vector3(max.x, center.y, max.z) }
+        ];
+
+        this.dimensionLabels = edges.map(({ name, length, anchor }) => ({
+            anchor,
+            element: this.createLabel(`${name} ${formatLength(this.toMeters(length), this.unit)}`, 'dimension')
+        }));
+    }
+
+    // ===== POINT-TO-POINT =====
+
+    /**
+     * Handles a click while the measure tool is active. The first click
+     * places a start point, the second completes a measurement.
+     */
+    pick(ndc) {
+        if (!this.model) return null;
+
+        this.raycaster.setFromCamera(ndc, this.camera);
+        const hit = this.raycaster.intersectObject(this.model, true)[0];
+        if (!hit) return null;
+
+        const point = hit.point.clone();
+
+        if (!this.pendingPoint) {
+            this.pendingPoint = point;
+            this.pendingMarker = this.createMarker(point);
+            return null;
+        }
+
+        const measurement = this.addMeasurement(this.pendingPoint, point, this.pendingMarker);
+        this.pendingPoint = null;
+        this.pendingMarker = null;
+        return measurement;
+    }
+
+    addMeasurement(start, end, startMarker) {
+        const geometry = new THREE.BufferGeometry().setFromPoints([start, end]);
+        const line = new THREE.Line(geometry, this.lineMaterial);
+        line.renderOrder = 999;
+        this.group.add(line);
+
+        const measurement = {
+            start,
+            end,
+            line,
+            markers: [startMarker, this.createMarker(end)],
+            anchor: start.clone().lerp(end, 0.5),
+            element: this.createLabel('', 'distance')
+        };
+        this.updateMeasurementLabel(measurement);
+        this.measurements.push(measurement);
+        return measurement;
+    }
+
+    distanceOf(measurement) {
+        return this.toMeters(measurement.start.distanceTo(measurement.end));
+    }
+
+    updateMeasurementLabel(measurement) {
+        measurement.element.textContent = formatLength(this.distanceOf(measurement), this.unit);
+    }
+
+    createMarker(point) {
+        const marker = new THREE.Mesh(this.markerGeometry, this.overlayMaterial);
+        marker.position.copy(point);
+        marker.renderOrder = 999;
+        this.group.add(marker);
+        return marker;
+    }
+
+    createLabel(text, type) {
+        const element = document.createElement('div');
+        element.className = `measure-label ${type}`;
+        element.textContent = text;
+        this.layer.appendChild(element);
+        return element;
+    }
+
+    clearMeasurements() {
+        this.measurements.forEach(({ line, markers, element }) => {
+            this.group.remove(line, ...markers);
+            line.geometry.dispose();
+            element.remove();
+        });
+        this.measurements = [];
+
+        if (this.pendingMarker) this.group.remove(this.pendingMarker);
+        this.pendingPoint = null;
+        this.pendingMarker = null;
+    }
+
+    // ===== PER FRAME =====
+
+    update(width, height) {
+        // Markers keep a constant on-screen size
+        const markerSize = (point) => point.distanceTo(this.camera.position) * 0.006;
+        this.group.children.forEach((child) => {
+            if (child.geometry === this.markerGeometry) child.scale.setScalar(markerSize(child.position));
+        });
+
+        const place = ({ anchor, element }) => {
+            this._projected.copy(anchor).project(this.camera);
+            const x = (this._projected.x * 0.5 + 0.5) * width;
+            const y = (-this._projected.y * 0.5 + 0.5) * height;
+            element.style.transform = `translate(-50%, -50%) translate(${x}px, ${y}px)`;
+            element.hidden = this._projected.z > 1;
+        };
+
+        this.dimensionLabels.forEach(place);
+        this.measurements.forEach(place);
+    }
+
+    dispose() {
+        this.clear();
+        this.scene.remove(this.group);
+        this.markerGeometry.dispose();
+        this.overlayMaterial.dispose();
+        this.lineMaterial.dispose();
+    }
+}
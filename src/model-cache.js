@@ -0,0 +1,46 @@
+/**
+ * 🗃️ MODEL CACHE
+ * Keeps the most recently viewed models (already fitted to the stage) so
+ * switching back to one is instant. Models are taken out while they are on
+ * screen and put back when they are replaced; the least recently used one
+ * is handed to `onEvict` for disposal once the cache is full. Parsed models
+ * hold their textures on the GPU, so keep the capacity small.
+ */
+
+export class ModelCache {
+    constructor({ capacity = 3, onEvict }) {
+        this.capacity = capacity;
+        this.onEvict = onEvict;
+        this.entries = new Map(); // key -> entry, oldest first
+    }
+
+    has(key) {
+        return this.entries.has(key);
+    }
+
+    // Removes and returns the entry (it is about to be shown)
+    take(key) {
+        const entry = this.entries.get(key);
+        this.entries.delete(key);
+        return entry || null;
+    }
+
+    put(key, entry) {
+        if (this.entries.has(key)) this.evict(key);
+        this.entries.set(key, entry);
+
+        while (this.entries.size > this.capacity) {
+            this.evict(this.entries.keys().next().value);
+        }
+    }
+
+    evict(key) {
+        const entry = this.entries.get(key);
+        this.entries.delete(key);
+        if (entry && this.onEvict) this.onEvict(entry, key);
+    }
+
+    clear() {
+        [...this.entries.keys()].forEach(key => this.evict(key));
+    }
+}
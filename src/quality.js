@@ -0,0 +1,109 @@
+/**
+ * ⚡ ADAPTIVE QUALITY
+ * Quality tiers from most to least expensive, and a governor that watches
+ * frame time over a rolling window and steps between them. Stepping down is
+ * quick, stepping back up needs a long stretch of headroom, and a tier that
+ * already proved too slow waits longer each time, so it doesn't flap.
+ */
+
+export const QUALITY_TIERS = [
+    { name: 'ultra', pixelRatio: 2, shadows: true, shadowMapSize: 2048, ssao: true, bloom: true, direct: false },
+    { name: 'high', pixelRatio: 1.5, shadows: true, shadowMapSize: 1024, ssao: true, bloom: false, direct: false },
+    { name: 'medium', pixelRatio: 1, shadows: false, shadowMapSize: 1024, ssao: false, bloom: false, direct: false },
+    // Bypasses the composer entirely, as heavy models always used to
+    { name: 'low', pixelRatio: 0.75, shadows: false, shadowMapSize: 512, ssao: false, bloom: false, direct: true }
+];
+
+export const QUALITY_MODES = ['auto', ...QUALITY_TIERS.map(tier => tier.name)];
+
+export function getTier(name) {
+    return QUALITY_TIERS.find(tier => tier.name === name);
+}
+
+const WINDOW_MS = 2000; // rolling window for the frame-time average
+const SLOW_FRAME_MS = 1000 / 40; // sustained average above this steps down
+const FAST_FRAME_MS = 1000 / 55; // ...below this may step up
+const UPGRADE_AFTER_MS = 5000; // headroom needed before stepping up
+const SETTLE_MS = 1500; // ignore frames right after a change
+const MAX_FRAME_MS = 250; // longer gaps are tab switches, not slow frames
+
+export class QualityGovernor {
+    constructor({ initial = 'high', onChange }) {
+        this.onChange = onChange;
+        this.tierIndex = Math.max(0, QUALITY_TIERS.findIndex(tier => tier.name === initial));
+        this.samples = []; // [timestamp, frame ms]
+        this.total = 0;
+        this.settleUntil = 0;
+        this.fastSince = null;
+        this.failedUpgrades = new Map(); // tier index -> times it proved too slow
+    }
+
+    get tier() {
+        return QUALITY_TIERS[this.tierIndex];
+    }
+
+    get averageFrameTime() {
+        return this.samples.length ? this.total / this.samples.length : 0;
+    }
+
+    // Starts over at `name`, e.g. after a new model changed the workload
+    reset(name) {
+        const index = QUALITY_TIERS.findIndex(tier => tier.name === name);
+        this.tierIndex = index === -1 ? this.tierIndex : index;
+        this.failedUpgrades.clear();
+        this.restartWindow();
+    }
+
+    restartWindow(now = performance.now()) {
+        this.samples = [];
+        this.total = 0;
+        this.fastSince = null;
+        this.settleUntil = now + SETTLE_MS;
+    }
+
+    /**
+     * Records one frame. Returns the new tier when the governor stepped,
+     * otherwise null.
+     */
+    sample(frameMs, now = performance.now()) {
+        if (frameMs > MAX_FRAME_MS || now < this.settleUntil) return null;
+
+        this.samples.push([now, frameMs]);
+        this.total += frameMs;
+        while (this.samples.length && this.samples[0][0] < now - WINDOW_MS) {
+            this.total -= this.samples.shift()[1];
+        }
+
+        // Only judge a full window
+        if (now - this.samples[0][0] < WINDOW_MS * 0.9) return null;
+
+        const average = this.averageFrameTime;
+
+        if (average > SLOW_FRAME_MS && this.tierIndex < QUALITY_TIERS.length - 1) {
+            this.failedUpgrades.set(this.tierIndex, (this.failedUpgrades.get(this.tierIndex) || 0) + 1);
+            return this.step(1, now);
+        }
+
+        if (average < FAST_FRAME_MS && this.tierIndex > 0) {
+            if (this.fastSince === null) this.fastSince = now;
+
+            // Each time the tier above proved too slow, wait twice as long
+            const failures = this.failedUpgrades.get(this.tierIndex - 1) || 0;
+            if (now - this.fastSince > UPGRADE_AFTER_MS * 2 ** failures) {
+                return this.step(-1, now);
+            }
+        } else {
+            this.fastSince = null;
+        }
+
+        return null;
+    }
+
+    step(direction, now) {
+        this.tierIndex += direction;
+        this.restartWindow(now);
+        console.log(`⚡ Quality ${direction > 0 ? 'lowered' : 'raised'} to ${this.tier.name}`);
+        if (this.onChange) this.onChange(this.tier);
+        return this.tier;
+    }
+}
@@ -0,0 +1,183 @@
+/**
+ * ⚙️ SETTINGS
+ * One observable store for the viewer-wide settings: exposure, light and
+ * environment sliders, background, effects, auto-rotate and quality. Panels
+ * write to it and the viewer subscribes, applying each change to the
+ * renderer and mirroring it in the controls, so the two can't drift apart.
+ *
+ * Values come in layers, later ones winning:
+ *   1. the defaults below (the viewer can replace some, e.g. environment)
+ *   2. the model's `settings` in the manifest, for 'model' settings
+ *   3. what the visitor changed, kept in localStorage: per model for
+ *      'model' settings, once for 'global' ones
+ *   4. what the page or a shared link asked for, set with `save: false`:
+ *      kept for this visit, across models, until the visitor changes it
+ * reset() forgets layer 3 for every model. Effects aren't saved: they
+ * follow the quality tier, which is.
+ *
+ * An override (e.g. auto-rotate off for reduced motion) beats every layer
+ * until it is lifted; changes made meanwhile are still saved.
+ */
+
+export const SETTINGS = {
+    exposure: { default: 0.75, scope: 'model' },
+    lightIntensity: { default: 1, scope: 'model' },
+    lightRotation: { default: 0, scope: 'model' }, // degrees, on top of the environment's
+    environment: { default: null, scope: 'global' },
+    environmentRotation: { default: 0, scope: 'model' },
+    environmentIntensity: { default: 1, scope: 'model' },
+    background: { default: 'color', scope: 'global' },
+    quality: { default: 'auto', scope: 'global' },
+    ssao: { default: true, scope: 'global', persist: false },
+    bloom: { default: false, scope: 'global', persist: false },
+    shadows: { default: true, scope: 'global', persist: false },
+    autorotate: { default: false, scope: 'global' }
+};
+
+const STORAGE_KEY = 'gallery-viewer:settings';
+
+export class SettingsStore {
+    constructor({ defaults = {}, storageKey = STORAGE_KEY } = {}) {
+        this.defaults = Object.fromEntries(Object.entries(SETTINGS).map(([key, setting]) => (
+            [key, key in defaults ? defaults[key] : setting.default]
+        )));
+        this.storageKey = storageKey;
+        this.saved = this.load(); // { global: {}, models: { key: {} } }
+        this.modelKey = null;
+        this.modelDefaults = {};
+        this.unsaved = {}; // layer 4
+        this.overrides = {};
+        this.values = this.resolve();
+        this.listeners = new Set();
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    // listener(changes) gets only the settings whose value changed
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Changes settings, e.g. set({ exposure: 1.2 }). `save: false` applies
+     * them without remembering them (the page, shared links, quality tiers).
+     */
+    set(changes, { save = true } = {}) {
+        const values = {};
+        Object.entries(changes).forEach(([key, value]) => {
+            if (!(key in SETTINGS) || value === undefined) return;
+            // Effects follow the quality tier, so neither layer keeps them
+            if (SETTINGS[key].persist !== false) {
+                if (save) {
+                    this.savedFor(key)[key] = value;
+                    delete this.unsaved[key];
+                } else {
+                    this.unsaved[key] = value;
+                }
+            }
+            values[key] = key in this.overrides ? this.overrides[key] : value;
+        });
+
+        if (save) this.store();
+        this.update(values);
+    }
+
+    /**
+     * Switches to another model's layer: its manifest defaults and the
+     * visitor's saved values for it.
+     */
+    setModel(modelKey, modelDefaults = {}) {
+        this.modelKey = modelKey;
+        this.modelDefaults = modelDefaults;
+        this.setResolved();
+    }
+
+    /**
+     * Pins `key` to `value` whatever the layers say; `undefined` lifts the
+     * override and the layered value comes back.
+     */
+    setOverride(key, value) {
+        if (value === undefined) delete this.overrides[key];
+        else this.overrides[key] = value;
+
+        this.update({ [key]: this.resolve()[key] });
+    }
+
+    // Back to the defaults, for every model
+    reset() {
+        this.saved = { global: {}, models: {} };
+        this.store();
+        this.setResolved();
+    }
+
+    // ===== LAYERS =====
+
+    resolve() {
+        const values = { ...this.defaults };
+        Object.entries(SETTINGS).forEach(([key, { scope }]) => {
+            if (scope === 'model' && key in this.modelDefaults) values[key] = this.modelDefaults[key];
+            const saved = this.savedFor(key, false);
+            if (saved && key in saved) values[key] = saved[key];
+            if (key in this.unsaved) values[key] = this.unsaved[key];
+            if (key in this.overrides) values[key] = this.overrides[key];
+        });
+        return values;
+    }
+
+    setResolved() {
+        // Effects belong to the quality tier, not to a layer
+        const resolved = this.resolve();
+        Object.entries(SETTINGS).forEach(([key, { persist }]) => {
+            if (persist === false) delete resolved[key];
+        });
+        this.update(resolved);
+    }
+
+    // Takes on `values` as they are, telling listeners what changed
+    update(values) {
+        const changed = {};
+        Object.entries(values).forEach(([key, value]) => {
+            if (this.values[key] !== value) changed[key] = value;
+        });
+        Object.assign(this.values, changed);
+        this.notify(changed);
+    }
+
+    savedFor(key, create = true) {
+        if (SETTINGS[key].scope === 'global') return this.saved.global;
+        if (!this.modelKey) return create ? {} : null;
+        if (create && !this.saved.models[this.modelKey]) this.saved.models[this.modelKey] = {};
+        return this.saved.models[this.modelKey] || null;
+    }
+
+    notify(changed) {
+        if (!Object.keys(changed).length) return;
+        this.listeners.forEach(listener => listener(changed));
+    }
+
+    // ===== STORAGE =====
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved && typeof saved === 'object') {
+                return { global: saved.global || {}, models: saved.models || {} };
+            }
+        } catch (error) {
+            console.warn('⚠️ Saved viewer settings could not be read:', error);
+        }
+        return { global: {}, models: {} };
+    }
+
+    store() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.saved));
+        } catch (error) {
+            // Private browsing or a full quota: settings last for this visit only
+            console.warn('⚠️ Viewer settings could not be saved:', error);
+        }
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * 🔗 URL STATE
+ * Serialises the viewer state into the location hash so a view can be shared
+ * as a link, e.g.
+ *   #model=marble&cam=0,1.5,3&tgt=0,1.2,0&exp=0.75&fx=shadows&q=medium
+ * Decoding is forgiving: unknown keys and malformed values are dropped so a
+ * hand-edited or outdated link still restores whatever it can.
+ */
+
+const EFFECTS = ['ssao', 'bloom', 'shadows', 'autorotate'];
+
+// hash key -> [state key, type]
+const FIELDS = {
+    model: ['model', 'string'],
+    va: ['variant', 'string'],
+    cam: ['cameraPosition', 'vec3'],
+    tgt: ['cameraTarget', 'vec3'],
+    exp: ['exposure', 'number'],
+    lp: ['lighting', 'string'],
+    li: ['lightIntensity', 'number'],
+    lr: ['lightRotation', 'number'],
+    env: ['environment', 'string'],
+    er: ['environmentRotation', 'number'],
+    ei: ['environmentIntensity', 'number'],
+    bg: ['background', 'string'],
+    mat: ['materialIndex', 'integer'],
+    ro: ['roughness', 'number'],
+    me: ['metalness', 'number'],
+    ns: ['normalStrength', 'number'],
+    fx: ['effects', 'effects'],
+    q: ['quality', 'string']
+};
+
+function formatNumber(value) {
+    // Four decimals is well below what a camera position needs
+    return String(Math.round(value * 10000) / 10000);
+}
+
+function encodeValue(value, type) {
+    switch (type) {
+        case 'vec3':
+            return value.map(formatNumber).join(',');
+        case 'number':
+            return formatNumber(value);
+        case 'effects':
+            return EFFECTS.filter(effect => value[effect]).join(',') || 'none';
+        default:
+            return String(value);
+    }
+}
+
+function decodeValue(raw, type) {
+    switch (type) {
+        case 'vec3': {
+            const parts = raw.split(',').map(Number);
+            return parts.length === 3 && parts.every(Number.isFinite) ? parts : undefined;
+        }
+        case 'number': {
+            const value = Number(raw);
+            return raw !== '' && Number.isFinite(value) ? value : undefined;
+        }
+        case 'integer': {
+            const value = Number(raw);
+            return Number.isInteger(value) && value >= 0 ? value : undefined;
+        }
+        case 'effects': {
+            const enabled = raw.split(',');
+            return Object.fromEntries(EFFECTS.map(effect => [effect, enabled.includes(effect)]));
+        }
+        default:
+            return raw || undefined;
+    }
+}
+
+export function encodeState(state) {
+    const params = new URLSearchParams();
+
+    Object.entries(FIELDS).forEach(([key, [field, type]]) => {
+        const value = state[field];
+        if (value === undefined || value === null) return;
+        params.set(key, encodeValue(value, type));
+    });
+
+    // URLSearchParams escapes commas, which makes links needlessly ugly
+    return params.toString().replace(/%2C/gi, ',');
+}
+
+export function decodeState(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const state = {};
+
+    Object.entries(FIELDS).forEach(([key, [field, type]]) => {
+        if (!params.has(key)) return;
+        const value = decodeValue(params.get(key), type);
+        if (value !== undefined) state[field] = value;
+    });
+
+    return state;
+}
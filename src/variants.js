@@ -0,0 +1,240 @@
+import * as THREE from 'three';
+
+/**
+ * 🎨 VARIANTS
+ * Colourways, fabrics and finishes for one model, switched in place. They
+ * come from two places: the glTF KHR_materials_variants extension (the file
+ * ships every variant's materials), and `variants` in the gallery manifest,
+ * which copy the materials of named meshes or named materials and swap
+ * texture maps or parameters on the copies.
+ *
+ * Each variant is a complete mesh -> material assignment relative to the
+ * model as loaded, so changes never pile up and 'original' puts back the
+ * exact materials the file came with. A variant's materials (textures
+ * included) are prepared the first time it is picked and then kept, so
+ * switching back and forth is instant.
+ */
+
+export const ORIGINAL_VARIANT = 'original';
+const GLTF_VARIANT_PREFIX = 'gltf:'; // keys of KHR_materials_variants
+
+// Texture slots holding colour rather than data
+const COLOR_MAPS = ['map', 'emissiveMap'];
+const NUMBER_PARAMS = ['roughness', 'metalness', 'envMapIntensity', 'emissiveIntensity'];
+
+// `mesh` also matches ancestors: multi-material meshes load as a group
+function matches(change, mesh, material) {
+    if (change.material && material.name !== change.material) return false;
+    if (!change.mesh) return true;
+    for (let node = mesh; node; node = node.parent) {
+        if (node.name === change.mesh) return true;
+    }
+    return false;
+}
+
+function disposeMaterial(material) {
+    Object.values(material).forEach((value) => {
+        if (value && value.isTexture) value.dispose();
+    });
+    material.dispose();
+}
+
+export class VariantSet {
+    constructor(model, configVariants = {}) {
+        this.model = model;
+        this.variants = new Map(); // key -> { title, changes, materials: Map(mesh -> material) | null }
+        this.original = new Map(); // mesh -> material(s) as loaded
+        this.active = ORIGINAL_VARIANT;
+        this.applyToken = 0;
+        this.owned = new Set(); // materials made or loaded for variants
+        this.textures = new Map(); // url -> Promise<Texture> for manifest maps
+        this.ready = Promise.resolve();
+        this.disposed = false;
+
+        model.traverse((child) => {
+            if (child.isMesh && child.material) this.original.set(child, child.material);
+        });
+
+        Object.entries(configVariants).forEach(([key, { title, changes }]) => {
+            this.variants.set(key, { title, changes, materials: null });
+        });
+    }
+
+    get list() {
+        return [...this.variants].map(([key, { title }]) => ({ key, title }));
+    }
+
+    has(key) {
+        return key === ORIGINAL_VARIANT || this.variants.has(key);
+    }
+
+    /**
+     * Adds the file's KHR_materials_variants, if it has any. Their materials
+     * are loaded up front; `prepareMaterial` sees each one once so it gets
+     * the same manifest tuning as the model's own materials.
+     */
+    addGLTFVariants(gltf, prepareMaterial) {
+        this.ready = this.loadGLTFVariants(gltf, prepareMaterial);
+        return this.ready;
+    }
+
+    async loadGLTFVariants(gltf, prepareMaterial) {
+        const extension = gltf.userData.gltfExtensions?.KHR_materials_variants;
+        if (!extension) return;
+
+        const { parser } = gltf;
+        const assignments = extension.variants.map(() => new Map());
+        const loaded = new Set([...this.original.values()].flat());
+
+        for (const [mesh] of this.original) {
+            const mappings = mesh.userData.gltfExtensions?.KHR_materials_variants?.mappings || [];
+            for (const mapping of mappings) {
+                // A stand-in mesh gets the loader's per-mesh material tweaks
+                // (vertex colours, flat shading) without touching the one on screen
+                const proxy = mesh.clone(false);
+                proxy.material = await parser.getDependency('material', mapping.material);
+                parser.assignFinalMaterial(proxy);
+
+                // The parser's cache hands back the model's own materials too
+                if (!loaded.has(proxy.material) && !this.owned.has(proxy.material)) {
+                    this.owned.add(proxy.material);
+                    if (prepareMaterial) prepareMaterial(proxy.material);
+                }
+                mapping.variants.forEach(index => assignments[index].set(mesh, proxy.material));
+            }
+        }
+
+        // The model went away while the materials loaded
+        if (this.disposed) {
+            this.owned.forEach(disposeMaterial);
+            return;
+        }
+
+        // Keys of their own, so a file's variant can't take the place of
+        // 'original' or of a manifest variant with the same name
+        extension.variants.forEach(({ name }, index) => {
+            this.variants.set(`${GLTF_VARIANT_PREFIX}${name}`, { title: name, changes: null, materials: assignments[index] });
+        });
+    }
+
+    /**
+     * Switches to `key` (or ORIGINAL_VARIANT). Resolves to false when a later
+     * call took over while this one was loading textures.
+     */
+    async apply(key) {
+        const variant = this.variants.get(key);
+        if (!variant && key !== ORIGINAL_VARIANT) throw new Error(`Unknown variant "${key}"`);
+
+        const token = ++this.applyToken;
+        const materials = variant ? await this.prepare(variant) : new Map();
+        if (token !== this.applyToken || this.disposed) return false;
+
+        this.original.forEach((loaded, mesh) => {
+            mesh.material = materials.get(mesh) || loaded;
+        });
+        this.active = key;
+        return true;
+    }
+
+    // ===== MANIFEST VARIANTS =====
+
+    async prepare(variant) {
+        if (!variant.materials) {
+            const copies = new Map(); // original material -> copy (shared materials stay shared)
+            const materials = new Map();
+
+            for (const change of variant.changes) {
+                const maps = await this.loadMaps(change.maps || {});
+                let matched = false;
+
+                this.original.forEach((loaded, mesh) => {
+                    const slots = Array.isArray(loaded) ? loaded : [loaded];
+                    const assigned = materials.get(mesh); // by an earlier change
+                    const result = slots.map((material, i) => {
+                        if (!matches(change, mesh, material)) {
+                            if (!assigned) return material;
+                            return Array.isArray(assigned) ? assigned[i] : assigned;
+                        }
+
+                        matched = true;
+                        if (!copies.has(material)) {
+                            const copy = material.clone();
+                            this.owned.add(copy);
+                            copies.set(material, copy);
+                        }
+                        const copy = copies.get(material);
+                        this.applyChange(copy, change, maps);
+                        return copy;
+                    });
+
+                    if (result.some((material, i) => material !== slots[i])) {
+                        materials.set(mesh, Array.isArray(loaded) ? result : result[0]);
+                    }
+                });
+
+                // Most likely a mesh or material name that isn't in the file
+                if (!matched) {
+                    console.warn(`⚠️ Variant "${variant.title}": no mesh or material matches ${JSON.stringify({ mesh: change.mesh, material: change.material })}`);
+                }
+            }
+
+            variant.materials = materials;
+        }
+        return variant.materials;
+    }
+
+    applyChange(material, change, maps) {
+        Object.entries(maps).forEach(([slot, texture]) => {
+            const replaced = material[slot];
+            // Same UV set and wrapping as the texture it replaces
+            if (replaced) {
+                texture.channel = replaced.channel;
+                texture.wrapS = replaced.wrapS;
+                texture.wrapT = replaced.wrapT;
+            }
+            material[slot] = texture;
+        });
+
+        if (change.color && material.color) material.color.set(change.color);
+        if (change.emissive && material.emissive) material.emissive.set(change.emissive);
+        NUMBER_PARAMS.forEach((param) => {
+            if (change[param] !== undefined && param in material) material[param] = change[param];
+        });
+
+        // Added or removed maps change the shader
+        material.needsUpdate = true;
+    }
+
+    // slot -> url to slot -> texture, oriented like glTF textures
+    async loadMaps(maps) {
+        const entries = await Promise.all(Object.entries(maps).map(async ([slot, url]) => {
+            if (!this.textures.has(url)) {
+                this.textures.set(url, new THREE.TextureLoader().loadAsync(url).then((texture) => {
+                    texture.flipY = false;
+                    texture.colorSpace = COLOR_MAPS.includes(slot) ? THREE.SRGBColorSpace : THREE.NoColorSpace;
+                    return texture;
+                }));
+            }
+            return [slot, await this.textures.get(url)];
+        }));
+        return Object.fromEntries(entries);
+    }
+
+    /**
+     * Puts the original materials back and releases everything made for
+     * variants. Call it along with disposing the model itself.
+     */
+    dispose() {
+        this.disposed = true;
+        this.applyToken++;
+        this.original.forEach((loaded, mesh) => {
+            mesh.material = loaded;
+        });
+        this.active = ORIGINAL_VARIANT;
+
+        this.owned.forEach(disposeMaterial);
+        this.owned.clear();
+        this.textures.forEach(promise => promise.then(texture => texture.dispose(), () => {}));
+        this.textures.clear();
+    }
+}
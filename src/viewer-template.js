@@ -0,0 +1,670 @@
+/**
+ * 🧩 VIEWER TEMPLATE
+ * The markup inside every <gallery-viewer>: canvas container, overlays and
+ * panels. It lives in the element's shadow root, so the ids below are
+ * local to one viewer and several viewers can share a page.
+ */
+
+export const VIEWER_TEMPLATE = /* html */ `
+<!-- Loading Screen -->
+<div id="loading-screen">
+    <div class="loading-content">
+        <div class="loader-ring"></div>
+        <div class="loading-text">Loading Masterpiece</div>
+        <div class="loading-progress">
+            <div class="progress-bar"></div>
+        </div>
+        <div class="loading-percentage">0%</div>
+        <pre class="loading-error"></pre>
+    </div>
+</div>
+
+<!-- 3D Canvas Container -->
+<div id="canvas-container">
+    <div id="annotation-layer" class="annotation-layer"></div>
+    <div id="measure-layer" class="measure-layer"></div>
+    <div class="drop-overlay">
+        <div class="drop-message">Drop a .glb, or a .gltf with its .bin and textures</div>
+    </div>
+    <div id="model-loading" class="model-loading glass-panel" role="status" hidden>
+        <div class="loader-ring"></div>
+        <div class="model-loading-body">
+            <span class="model-loading-text">Loading…</span>
+            <div class="loading-progress">
+                <div class="model-loading-bar"></div>
+            </div>
+        </div>
+        <button id="model-loading-cancel" class="notice-close" aria-label="Cancel loading" title="Cancel">×</button>
+    </div>
+    <div id="tour-caption" class="tour-caption glass-panel" aria-live="polite" hidden></div>
+    <div id="compare-divider" class="compare-divider" hidden>
+        <span class="compare-label a">A</span>
+        <button class="compare-handle" aria-label="Drag to move the divider"></button>
+        <span class="compare-label b">B</span>
+    </div>
+    <div id="model-error" class="model-error glass-panel" role="alert" hidden>
+        <h4></h4>
+        <p></p>
+        <div class="color-row">
+            <button id="model-error-retry" class="glass-btn">Retry</button>
+            <button id="model-error-dismiss" class="glass-btn">Dismiss</button>
+        </div>
+    </div>
+</div>
+
+<!-- Screen-reader announcements (model loaded, shortcuts) -->
+<div id="viewer-announcer" class="visually-hidden" role="status" aria-live="polite"></div>
+
+<!-- Shown over the camera feed during AR sessions -->
+<div id="xr-overlay" class="xr-overlay" hidden>
+    <p class="xr-hint glass-panel" hidden></p>
+    <button id="xr-exit" class="glass-btn">Exit AR</button>
+</div>
+
+<!-- UI Controls -->
+<div class="ui-container">
+    <!-- Top Bar -->
+    <div class="top-bar glass-panel">
+        <!-- Logo removed as per request -->
+        <div class="model-selector">
+            <label for="model-select">Model:</label>
+            <!-- Options are built from the gallery manifest (gallery.json) -->
+            <select id="model-select" class="glass-select"></select>
+        </div>
+        <div class="quality-toggle">
+            <button id="share-btn" class="glass-btn" title="Copy a link to this exact view">
+                <svg aria-hidden="true" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                    <path d="M10 14a5 5 0 0 0 7 0l3-3a5 5 0 0 0-7-7l-1 1" />
+                    <path d="M14 10a5 5 0 0 0-7 0l-3 3a5 5 0 0 0 7 7l1-1" />
+                </svg>
+                <span>Copy Link</span>
+            </button>
+            <button id="open-file-btn" class="glass-btn" title="Open a local .glb or .gltf">
+                <svg aria-hidden="true" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                    <path d="M3 7v12h18V9h-9l-2-2z" />
+                </svg>
+                <span>Open</span>
+            </button>
+            <input type="file" id="file-input" multiple accept=".glb,.gltf,.bin,image/*" hidden>
+            <button id="vr-btn" class="glass-btn" title="View in a VR headset" hidden>
+                <svg aria-hidden="true" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                    <path d="M3 8h18v9h-6l-3-3-3 3H3z" />
+                </svg>
+                <span>Enter VR</span>
+            </button>
+            <button id="ar-btn" class="glass-btn" title="Place the model in your room" hidden>
+                <svg aria-hidden="true" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                    <path d="M12 3l8 4.5v9L12 21l-8-4.5v-9z" />
+                    <path d="M12 12l8-4.5M12 12v9M12 12L4 7.5" />
+                </svg>
+                <span>Enter AR</span>
+            </button>
+            <button id="quality-btn" class="glass-btn" title="Toggle Quality">
+                <svg aria-hidden="true" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                    <circle cx="12" cy="12" r="10" />
+                    <path d="M12 6v6l4 2" />
+                </svg>
+                <span>Auto</span>
+            </button>
+        </div>
+    </div>
+
+    <!-- Camera Presets -->
+    <div class="camera-presets glass-panel">
+        <h3>Camera Views</h3>
+        <div class="preset-grid" role="group" aria-label="Camera views">
+            <button class="preset-btn active" data-preset="front" aria-pressed="true">
+                <svg aria-hidden="true" width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+                    <circle cx="12" cy="12" r="10" />
+                </svg>
+                <span>Front</span>
+            </button>
+            <button class="preset-btn" data-preset="side" aria-pressed="false">
+                <svg aria-hidden="true" width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+                    <path d="M12 2L2 7v10l10 5 10-5V7z" />
+                </svg>
+                <span>Side</span>
+            </button>
+            <button class="preset-btn" data-preset="top" aria-pressed="false">
+                <svg aria-hidden="true" width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+                    <polygon points="12,2 22,12 12,22 2,12" />
+                </svg>
+                <span>Top</span>
+            </button>
+            <button class="preset-btn" data-preset="closeup" aria-pressed="false">
+                <svg aria-hidden="true" width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+                    <circle cx="12" cy="10" r="3" />
+                    <path d="M12 13c-4 0-8 2-8 6v2h16v-2c0-4-4-6-8-6z" />
+                </svg>
+                <span>Close-up</span>
+            </button>
+        </div>
+    </div>
+
+    <!-- Lighting Controls -->
+    <div class="lighting-controls glass-panel">
+        <h3>Lighting</h3>
+        <div class="control-group">
+            <label>
+                <span>Intensity</span>
+                <input type="range" id="light-intensity" min="0" max="2" step="0.1" value="1.0">
+            </label>
+            <label>
+                <span>Rotation</span>
+                <input type="range" id="light-rotation" min="0" max="360" step="1" value="0">
+            </label>
+            <label>
+                <span>Exposure</span>
+                <input type="range" id="exposure" min="0.5" max="2" step="0.05" value="0.75">
+            </label>
+        </div>
+    </div>
+
+    <!-- Material Controls -->
+    <div class="material-controls glass-panel">
+        <h3>Material</h3>
+        <div class="control-group">
+            <label>
+                <span>Mesh / Material</span>
+                <select id="material-select" class="glass-select"></select>
+            </label>
+            <label>
+                <span>Roughness</span>
+                <input type="range" id="roughness" min="0" max="1" step="0.01" value="0.65">
+            </label>
+            <label>
+                <span>Metalness</span>
+                <input type="range" id="metalness" min="0" max="1" step="0.01" value="0.0">
+            </label>
+            <label>
+                <span>Normal Strength</span>
+                <input type="range" id="normal-strength" min="0" max="2" step="0.1" value="1">
+            </label>
+            <div class="color-row">
+                <label>
+                    <span>Colour</span>
+                    <input type="color" id="material-color" value="#ffffff">
+                </label>
+                <label>
+                    <span>Emissive</span>
+                    <input type="color" id="material-emissive" value="#000000">
+                </label>
+            </div>
+            <label>
+                <span>Emissive Intensity</span>
+                <input type="range" id="emissive-intensity" min="0" max="5" step="0.05" value="1">
+            </label>
+            <label>
+                <span>Env Map Intensity</span>
+                <input type="range" id="env-map-intensity" min="0" max="3" step="0.05" value="1">
+            </label>
+            <div>
+                <span class="group-label">Textures</span>
+                <div id="texture-slots" class="toggle-group"></div>
+            </div>
+        </div>
+    </div>
+
+    <!-- Right-hand dock -->
+    <div class="side-dock">
+        <!-- Variants (colourways, fabrics, finishes) -->
+        <div id="variant-panel" class="variant-panel glass-panel" hidden>
+            <h3>Variants</h3>
+            <div id="variant-list" class="variant-list" role="group" aria-label="Variants"></div>
+        </div>
+
+        <!-- Asset QA: debug views and problems found in the file -->
+        <div class="qa-panel glass-panel">
+            <h3>Asset QA</h3>
+            <div class="control-group">
+                <label>
+                    <span>View</span>
+                    <select id="view-mode" class="glass-select"></select>
+                </label>
+            </div>
+            <span class="group-label">Issues</span>
+            <ul id="asset-issues" class="asset-issues" aria-live="polite"></ul>
+        </div>
+
+        <!-- Effects Toggle -->
+        <div class="effects-panel glass-panel">
+            <h3>Effects</h3>
+            <div class="toggle-group">
+                <label class="toggle-switch">
+                    <input type="checkbox" role="switch" id="toggle-ssao">
+                    <span class="slider"></span>
+                    <span class="label-text">SSAO</span>
+                </label>
+                <label class="toggle-switch">
+                    <input type="checkbox" role="switch" id="toggle-bloom">
+                    <span class="slider"></span>
+                    <span class="label-text">Bloom</span>
+                </label>
+                <label class="toggle-switch">
+                    <input type="checkbox" role="switch" id="toggle-shadows" checked>
+                    <span class="slider"></span>
+                    <span class="label-text">Shadows</span>
+                </label>
+                <label class="toggle-switch">
+                    <input type="checkbox" role="switch" id="toggle-autorotate">
+                    <span class="slider"></span>
+                    <span class="label-text">Auto Rotate</span>
+                </label>
+            </div>
+            <button id="settings-reset" class="glass-btn panel-action">Reset to Defaults</button>
+        </div>
+
+        <!-- Lighting rig: presets and the light editor -->
+        <div class="lighting-rig-panel glass-panel">
+            <h3>Lighting Rig</h3>
+            <div class="control-group">
+                <label>
+                    <span>Preset</span>
+                    <select id="lighting-preset" class="glass-select">
+                        <option value="" hidden>Custom</option>
+                    </select>
+                </label>
+                <div class="light-editor">
+                    <span class="group-label">Light Editor</span>
+                    <label>
+                        <span>Light</span>
+                        <select id="light-select" class="glass-select"></select>
+                    </label>
+                    <label>
+                        <span>Temperature (K)</span>
+                        <input type="range" id="light-temperature" min="1500" max="12000" step="100" value="6500">
+                    </label>
+                    <label>
+                        <span>Brightness</span>
+                        <input type="range" id="light-brightness" min="0" max="5" step="0.05" value="1">
+                    </label>
+                    <label class="toggle-switch">
+                        <input type="checkbox" role="switch" id="light-shadow">
+                        <span class="slider"></span>
+                        <span class="label-text">Casts Shadows</span>
+                    </label>
+                    <label class="toggle-switch">
+                        <input type="checkbox" role="switch" id="light-helpers">
+                        <span class="slider"></span>
+                        <span class="label-text">Show &amp; Drag Lights</span>
+                    </label>
+                    <div class="color-row">
+                        <select id="light-add-type" class="glass-select" aria-label="Type of light to add"></select>
+                        <button id="light-add" class="glass-btn">Add</button>
+                        <button id="light-remove" class="glass-btn">Remove</button>
+                    </div>
+                    <button id="light-export" class="glass-btn panel-action">Export Rig</button>
+                </div>
+            </div>
+        </div>
+
+        <!-- Environment -->
+        <div class="environment-panel glass-panel">
+            <h3>Environment</h3>
+            <div class="control-group">
+                <label>
+                    <span>HDRI</span>
+                    <select id="environment-select" class="glass-select"></select>
+                </label>
+                <label>
+                    <span>Rotation</span>
+                    <input type="range" id="env-rotation" min="0" max="360" step="1" value="0">
+                </label>
+                <label>
+                    <span>Intensity</span>
+                    <input type="range" id="env-intensity" min="0" max="2" step="0.05" value="1">
+                </label>
+                <label>
+                    <span>Background</span>
+                    <select id="background-mode" class="glass-select">
+                        <option value="color">Solid colour</option>
+                        <option value="blurred">Blurred HDRI</option>
+                        <option value="full">Full HDRI</option>
+                    </select>
+                </label>
+            </div>
+        </div>
+
+        <!-- Camera tours -->
+        <div class="tour-panel glass-panel">
+            <h3>Tours</h3>
+            <div class="control-group">
+                <label>
+                    <span>Tour</span>
+                    <select id="tour-select" class="glass-select"></select>
+                </label>
+                <input type="range" id="tour-scrub" min="0" max="1000" step="1" value="0" aria-label="Tour position" disabled>
+            </div>
+            <div class="color-row">
+                <button id="tour-play" class="glass-btn">Play</button>
+                <button id="tour-stop" class="glass-btn">Stop</button>
+            </div>
+            <div class="control-group tour-recorder">
+                <span class="group-label">Record from the current view</span>
+                <label>
+                    <span>Caption</span>
+                    <input type="text" id="tour-keyframe-caption" class="glass-input">
+                </label>
+                <label>
+                    <span>Hold (seconds)</span>
+                    <input type="number" id="tour-keyframe-dwell" class="glass-input" min="0" step="0.5" value="1">
+                </label>
+                <div class="color-row">
+                    <button id="tour-add-keyframe" class="glass-btn">Add Keyframe</button>
+                    <button id="tour-clear" class="glass-btn">Clear</button>
+                </div>
+            </div>
+            <button id="tour-export" class="glass-btn panel-action">Export JSON</button>
+        </div>
+
+        <!-- Animations shipped in the model file -->
+        <div id="animation-panel" class="animation-panel glass-panel" hidden>
+            <h3>Animation</h3>
+            <div class="control-group">
+                <label>
+                    <span>Clip</span>
+                    <select id="animation-clip" class="glass-select"></select>
+                </label>
+                <input type="range" id="animation-scrub" min="0" max="1000" step="1" value="0" aria-label="Animation position">
+                <span id="animation-time" class="group-label">0.00 / 0.00 s</span>
+            </div>
+            <div class="color-row">
+                <button id="animation-play" class="glass-btn">Play</button>
+            </div>
+            <div class="control-group">
+                <label>
+                    <span>Speed</span>
+                    <input type="range" id="animation-speed" min="0.1" max="2" step="0.1" value="1">
+                </label>
+                <label class="toggle-switch">
+                    <input type="checkbox" role="switch" id="animation-loop" checked>
+                    <span class="slider"></span>
+                    <span class="label-text">Loop</span>
+                </label>
+            </div>
+        </div>
+
+        <!-- Annotations -->
+        <div class="annotations-panel glass-panel">
+            <h3>Annotations</h3>
+            <div class="toggle-group">
+                <label class="toggle-switch">
+                    <input type="checkbox" role="switch" id="toggle-annotations" checked>
+                    <span class="slider"></span>
+                    <span class="label-text">Show Hotspots</span>
+                </label>
+                <label class="toggle-switch">
+                    <input type="checkbox" role="switch" id="toggle-authoring">
+                    <span class="slider"></span>
+                    <span class="label-text">Authoring Mode</span>
+                </label>
+            </div>
+            <div id="annotation-editor" class="annotation-editor control-group" hidden>
+                <label>
+                    <span>Title</span>
+                    <input type="text" id="annotation-title" class="glass-input">
+                </label>
+                <label>
+                    <span>Note</span>
+                    <textarea id="annotation-body" class="glass-input" rows="3"></textarea>
+                </label>
+                <button id="annotation-delete" class="glass-btn">Delete Hotspot</button>
+            </div>
+            <button id="annotation-export" class="glass-btn panel-action">Export JSON</button>
+        </div>
+
+        <!-- Measurement -->
+        <div class="measure-panel glass-panel">
+            <h3>Measure</h3>
+            <div class="toggle-group">
+                <label class="toggle-switch">
+                    <input type="checkbox" role="switch" id="toggle-dimensions">
+                    <span class="slider"></span>
+                    <span class="label-text">Dimensions</span>
+                </label>
+                <label class="toggle-switch">
+                    <input type="checkbox" role="switch" id="toggle-measure">
+                    <span class="slider"></span>
+                    <span class="label-text">Point to Point</span>
+                </label>
+            </div>
+            <div class="info-content measure-readout">
+                <div class="info-row">
+                    <span class="info-label">W × D × H</span>
+                    <span class="info-value" id="dimensions-readout">-</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">Distance</span>
+                    <span class="info-value" id="distance-readout">-</span>
+                </div>
+            </div>
+            <div class="color-row">
+                <select id="measure-units" class="glass-select">
+                    <option value="cm">Centimetres</option>
+                    <option value="in">Inches</option>
+                </select>
+                <button id="measure-clear" class="glass-btn">Clear</button>
+            </div>
+        </div>
+
+        <!-- Section planes -->
+        <div class="section-panel glass-panel">
+            <h3>Section</h3>
+            <div class="section-plane" data-plane="0">
+                <label class="toggle-switch">
+                    <input type="checkbox" role="switch" id="section-x">
+                    <span class="slider"></span>
+                    <span class="label-text">X Plane</span>
+                </label>
+                <div class="color-row">
+                    <input type="range" id="section-x-offset" min="-1" max="1" step="0.01" value="0" aria-label="X plane position" disabled>
+                    <button id="section-x-flip" class="glass-btn" title="Cut away the other side" disabled>Flip</button>
+                </div>
+            </div>
+            <div class="section-plane" data-plane="1">
+                <label class="toggle-switch">
+                    <input type="checkbox" role="switch" id="section-y">
+                    <span class="slider"></span>
+                    <span class="label-text">Y Plane</span>
+                </label>
+                <div class="color-row">
+                    <input type="range" id="section-y-offset" min="-1" max="1" step="0.01" value="0" aria-label="Y plane position" disabled>
+                    <button id="section-y-flip" class="glass-btn" title="Cut away the other side" disabled>Flip</button>
+                </div>
+            </div>
+            <div class="section-plane" data-plane="2">
+                <label class="toggle-switch">
+                    <input type="checkbox" role="switch" id="section-z">
+                    <span class="slider"></span>
+                    <span class="label-text">Z Plane</span>
+                </label>
+                <div class="color-row">
+                    <input type="range" id="section-z-offset" min="-1" max="1" step="0.01" value="0" aria-label="Z plane position" disabled>
+                    <button id="section-z-flip" class="glass-btn" title="Cut away the other side" disabled>Flip</button>
+                </div>
+            </div>
+            <div class="control-group">
+                <label>
+                    <span>Gizmo</span>
+                    <select id="section-gizmo" class="glass-select">
+                        <option value="off">Hidden</option>
+                        <option value="translate">Move</option>
+                        <option value="rotate">Rotate</option>
+                    </select>
+                </label>
+                <label>
+                    <span>Cut Colour</span>
+                    <input type="color" id="section-cap-color" value="#d8c8b8">
+                </label>
+            </div>
+        </div>
+
+        <!-- A/B compare -->
+        <div class="compare-panel glass-panel">
+            <h3>Compare</h3>
+            <div class="toggle-group">
+                <label class="toggle-switch">
+                    <input type="checkbox" role="switch" id="toggle-compare">
+                    <span class="slider"></span>
+                    <span class="label-text">Split Screen</span>
+                </label>
+                <label class="toggle-switch">
+                    <input type="checkbox" role="switch" id="compare-share-camera" checked>
+                    <span class="slider"></span>
+                    <span class="label-text">Shared Camera</span>
+                </label>
+            </div>
+            <div class="control-group">
+                <label>
+                    <span>Side B</span>
+                    <!-- Options are built from the gallery manifest -->
+                    <select id="compare-model" class="glass-select"></select>
+                </label>
+                <label>
+                    <span>Layout</span>
+                    <select id="compare-layout" class="glass-select">
+                        <option value="wipe">Wipe</option>
+                        <option value="split">Side by side</option>
+                    </select>
+                </label>
+                <label>
+                    <span>Material Panel Edits</span>
+                    <select id="compare-edit" class="glass-select">
+                        <option value="a">Side A</option>
+                        <option value="b">Side B</option>
+                    </select>
+                </label>
+                <label>
+                    <span>B Exposure</span>
+                    <input type="range" id="compare-exposure" min="0.5" max="2" step="0.05" value="0.75">
+                </label>
+                <label>
+                    <span>B Lights</span>
+                    <input type="range" id="compare-light" min="0" max="2" step="0.05" value="1">
+                </label>
+                <label>
+                    <span>B Environment</span>
+                    <input type="range" id="compare-env-intensity" min="0" max="2" step="0.05" value="1">
+                </label>
+            </div>
+        </div>
+
+        <!-- Export -->
+        <div class="export-panel glass-panel">
+            <h3>Export</h3>
+            <div class="control-group">
+                <label>
+                    <span>Resolution</span>
+                    <select id="export-resolution" class="glass-select">
+                        <option value="1080p">1920 × 1080</option>
+                        <option value="1440p">2560 × 1440</option>
+                        <option value="4k" selected>3840 × 2160 (4K)</option>
+                        <option value="square-2k">2048 × 2048</option>
+                        <option value="portrait-4k">2160 × 3840 (portrait)</option>
+                        <option value="view-2x">View × 2</option>
+                    </select>
+                </label>
+                <label class="toggle-switch">
+                    <input type="checkbox" role="switch" id="export-transparent">
+                    <span class="slider"></span>
+                    <span class="label-text">Transparent PNG</span>
+                </label>
+                <button id="export-still" class="glass-btn panel-action">Save PNG</button>
+                <div class="color-row">
+                    <label>
+                        <span>Frames</span>
+                        <input type="number" id="turntable-frames" class="glass-input" min="2" max="720" value="120">
+                    </label>
+                    <label>
+                        <span>Format</span>
+                        <select id="turntable-format" class="glass-select">
+                            <option value="webm">WebM</option>
+                            <option value="png">PNG sequence</option>
+                        </select>
+                    </label>
+                </div>
+                <button id="export-turntable" class="glass-btn panel-action">
+                    <span>Record Turntable</span>
+                    <small id="export-progress"></small>
+                </button>
+            </div>
+        </div>
+    </div>
+
+    <!-- Info Panel -->
+    <div class="info-panel glass-panel">
+        <h3>Details</h3>
+        <div class="info-content">
+            <div class="info-row">
+                <span class="info-label">Texture Resolution:</span>
+                <span class="info-value" id="texture-resolution">-</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Material Type:</span>
+                <span class="info-value" id="material-type">-</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Polygons:</span>
+                <span class="info-value" id="poly-count">-</span>
+            </div>
+        </div>
+    </div>
+
+    <!-- Render diagnostics (opened from the draw call stat) -->
+    <div id="diagnostics-panel" class="diagnostics-panel glass-panel" hidden>
+        <h3>Diagnostics</h3>
+        <canvas id="frame-graph" class="frame-graph" width="320" height="60" role="img" aria-label="Frame times, last two seconds"></canvas>
+        <div id="renderer-info" class="info-content"></div>
+        <span class="group-label">GPU time per pass</span>
+        <div id="pass-timings" class="info-content"></div>
+        <span class="group-label">Texture memory (estimate)</span>
+        <div id="texture-memory" class="info-content"></div>
+        <span class="group-label">Meshes</span>
+        <div class="mesh-table-wrap">
+            <table class="mesh-table">
+                <thead>
+                    <tr><th scope="col">Mesh</th><th scope="col">Triangles</th><th scope="col">Draws</th><th scope="col">Textures</th></tr>
+                </thead>
+                <tbody id="mesh-table"></tbody>
+            </table>
+        </div>
+    </div>
+
+    <!-- Performance Stats -->
+    <div class="stats-panel">
+        <div class="stat-item">
+            <span class="stat-label">FPS</span>
+            <span class="stat-value" id="fps">60</span>
+        </div>
+        <div class="stat-item">
+            <span class="stat-label">Triangles</span>
+            <span class="stat-value" id="tris">0</span>
+        </div>
+        <button id="diagnostics-btn" class="stat-item" aria-expanded="false" aria-controls="diagnostics-panel" title="Render diagnostics">
+            <span class="stat-label">Draw Calls</span>
+            <span class="stat-value" id="draw-calls">0</span>
+        </button>
+    </div>
+</div>
+
+<!-- Notices (fallbacks, warnings) -->
+<div id="viewer-notices" class="viewer-notices" role="status"></div>
+
+<!-- Instructions Overlay (initial) -->
+<div id="instructions" class="instructions glass-panel">
+    <h2>🖱️ Controls</h2>
+    <ul>
+        <li><strong>Left Click + Drag:</strong> Rotate</li>
+        <li><strong>Right Click + Drag:</strong> Pan</li>
+        <li><strong>Scroll:</strong> Zoom</li>
+        <li><strong>Double Click:</strong> Reset Camera</li>
+        <li><strong>Drop .glb / .gltf:</strong> Preview a local file</li>
+        <li><strong>Numbered Hotspots:</strong> Click to fly to a note</li>
+        <li><strong>Arrows / W A S D:</strong> Orbit (click the view first)</li>
+        <li><strong>+ / −:</strong> Zoom (Shift for bigger steps)</li>
+    </ul>
+    <h3>⌨️ Shortcuts</h3>
+    <ul id="shortcut-list" class="shortcut-list"></ul>
+    <button id="close-instructions" class="glass-btn">Got it!</button>
+</div>
+`;
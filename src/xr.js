@@ -0,0 +1,300 @@
+import * as THREE from 'three';
+
+/**
+ * 🥽 WEBXR
+ * Immersive VR and AR sessions on the viewer's renderer. The render loop
+ * already runs through `renderer.setAnimationLoop`, so once a session is
+ * handed to `renderer.xr` the headset drives the frames; the viewer skips
+ * the composer while presenting (post-processing doesn't run per eye).
+ *
+ * VR keeps the gallery stage and starts the visitor a few steps in front of
+ * the model on a floor-level reference space, so they can walk around it
+ * (devices without one get a head-level space, lifted to standing height).
+ *
+ * AR drops the background, fog and platform and shows the model at its
+ * real-world size (the manifest's unitScale): a reticle follows hit-test
+ * results on real surfaces and a tap places the model there, together with
+ * the shadow catcher so it casts a ground shadow. Everything is put back
+ * when the session ends.
+ *
+ * Without a headset, sessions can be tried in a desktop browser with a
+ * WebXR emulator extension or polyfill.
+ */
+
+export const XR_MODES = { vr: 'immersive-vr', ar: 'immersive-ar' };
+
+const MIN_VIEWING_DISTANCE = 1.5; // metres between the VR visitor and the model
+const EYE_HEIGHT = 1.6; // metres, where the device has no floor-level space
+
+export class XRManager {
+    constructor(viewer, { overlay, onSessionChange }) {
+        this.viewer = viewer;
+        this.overlay = overlay; // DOM overlay root shown during AR
+        this.onSessionChange = onSessionChange; // (mode | null)
+
+        this.mode = null; // 'vr' | 'ar' while a session runs
+        this.session = null;
+        this.referenceSpaceType = null; // 'local-floor', or 'local' without it
+        this.supported = { vr: false, ar: false };
+
+        this.hitTestSource = null;
+        this.hitTestRequested = false;
+        this.placement = null; // AR: holds model and shadow catcher
+        this.saved = null; // viewer state from before an AR session
+        this.savedView = null; // camera pose from before any session
+
+        this.reticle = new THREE.Mesh(
+            new THREE.RingGeometry(0.08, 0.1, 32).rotateX(-Math.PI / 2),
+            new THREE.MeshBasicMaterial({ color: 0xffffff })
+        );
+        this.reticle.matrixAutoUpdate = false;
+        this.reticle.visible = false;
+
+        this.onSelect = this.onSelect.bind(this);
+        this.onSessionEnd = this.onSessionEnd.bind(this);
+
+        viewer.renderer.xr.enabled = true;
+    }
+
+    get presenting() {
+        return this.viewer.renderer.xr.isPresenting;
+    }
+
+    // Resolves to { vr, ar } support flags
+    async checkSupport() {
+        if (!navigator.xr) return this.supported;
+
+        await Promise.all(Object.entries(XR_MODES).map(async ([mode, sessionMode]) => {
+            try {
+                this.supported[mode] = await navigator.xr.isSessionSupported(sessionMode);
+            } catch (error) {
+                this.supported[mode] = false;
+            }
+        }));
+        return this.supported;
+    }
+
+    // ===== SESSIONS =====
+
+    async start(mode) {
+        if (this.session || !this.supported[mode]) return;
+
+        const options = mode === 'ar' ? {
+            requiredFeatures: ['hit-test'],
+            optionalFeatures: ['local-floor', 'dom-overlay'],
+            domOverlay: { root: this.overlay }
+        } : {
+            optionalFeatures: ['local-floor', 'bounded-floor', 'hand-tracking']
+        };
+
+        const session = await navigator.xr.requestSession(XR_MODES[mode], options);
+        const { renderer, camera, controls } = this.viewer;
+
+        this.session = session;
+        this.mode = mode;
+        // The headset takes over the camera; tours and eased moves would fight it
+        this.viewer.stopCameraAnimation();
+        this.savedView = { position: camera.position.clone(), target: controls.target.clone() };
+        session.addEventListener('end', this.onSessionEnd);
+
+        if (mode === 'ar') this.enterAR();
+
+        try {
+            // local-floor is only optional: not every device grants it
+            this.referenceSpaceType = await this.pickReferenceSpaceType(session);
+            renderer.xr.setReferenceSpaceType(this.referenceSpaceType);
+            await renderer.xr.setSession(session);
+        } catch (error) {
+            // Put the stage back and close the session that never started
+            session.removeEventListener('end', this.onSessionEnd);
+            if (mode === 'ar') this.exitAR();
+            this.savedView = null;
+            this.session = null;
+            this.mode = null;
+            session.end().catch(() => { /* already ended */ });
+            throw error;
+        }
+
+        if (mode === 'vr') this.standInFrontOfModel();
+        if (this.onSessionChange) this.onSessionChange(mode);
+    }
+
+    async pickReferenceSpaceType(session) {
+        try {
+            await session.requestReferenceSpace('local-floor');
+            return 'local-floor';
+        } catch (error) {
+            return 'local';
+        }
+    }
+
+    end() {
+        if (this.session) this.session.end();
+    }
+
+    onSessionEnd() {
+        const mode = this.mode;
+        this.session.removeEventListener('end', this.onSessionEnd);
+
+        if (mode === 'ar') this.exitAR();
+
+        // The camera was left wherever the headset last was
+        const { camera, controls } = this.viewer;
+        camera.position.copy(this.savedView.position);
+        controls.target.copy(this.savedView.target);
+        controls.update();
+        this.savedView = null;
+
+        this.session = null;
+        this.mode = null;
+        if (this.onSessionChange) this.onSessionChange(null);
+    }
+
+    // The floor-level space starts at the stage centre; step back from the model
+    standInFrontOfModel() {
+        const { renderer, model } = this.viewer;
+        const radius = model ?
+            new THREE.Box3().setFromObject(model).getBoundingSphere(new THREE.Sphere()).radius : 1;
+        const distance = Math.max(MIN_VIEWING_DISTANCE, radius * 2.5);
+        // A head-level space starts at the eyes: lower the stage to the floor
+        const y = this.referenceSpaceType === 'local' ? -EYE_HEIGHT : 0;
+
+        // An offset space moves the world by the inverse of the transform
+        const offset = new XRRigidTransform({ x: 0, y, z: -distance });
+        renderer.xr.setReferenceSpace(renderer.xr.getReferenceSpace().getOffsetReferenceSpace(offset));
+    }
+
+    // ===== AR PLACEMENT =====
+
+    enterAR() {
+        const { scene, renderer, controls, platform, shadowCatcher, lighting, model } = this.viewer;
+
+        this.saved = {
+            fog: scene.fog,
+            platformVisible: platform ? platform.visible : false,
+            shadows: renderer.shadowMap.enabled,
+            rigShadows: lighting.shadowsEnabled,
+            controlsEnabled: controls.enabled
+        };
+
+        scene.background = null;
+        scene.fog = null;
+        if (platform) platform.visible = false;
+        controls.enabled = false;
+
+        // Ground shadows regardless of the quality tier
+        renderer.shadowMap.enabled = true;
+        lighting.setShadowsEnabled(true);
+
+        // Scene units become metres: undo the fit-to-stage scale
+        this.placement = new THREE.Group();
+        this.placement.scale.setScalar(this.viewer.metersPerSceneUnit);
+        this.placement.visible = false;
+        if (model) this.placement.add(model);
+        if (shadowCatcher) this.placement.add(shadowCatcher);
+        scene.add(this.placement);
+        scene.add(this.reticle);
+
+        this.hitTestSource = null;
+        this.hitTestRequested = false;
+        this.session.addEventListener('select', this.onSelect);
+    }
+
+    exitAR() {
+        const { scene, renderer, controls, platform, shadowCatcher, lighting, model, environment } = this.viewer;
+        const saved = this.saved;
+
+        this.session.removeEventListener('select', this.onSelect);
+        if (this.hitTestSource) this.hitTestSource.cancel();
+        this.hitTestSource = null;
+        this.reticle.visible = false;
+        scene.remove(this.reticle);
+
+        // Back on the stage, local transforms untouched
+        if (model) scene.add(model);
+        if (shadowCatcher) scene.add(shadowCatcher);
+        scene.remove(this.placement);
+        this.placement = null;
+
+        environment.apply();
+        scene.fog = saved.fog;
+        if (platform) platform.visible = saved.platformVisible;
+        controls.enabled = saved.controlsEnabled;
+
+        lighting.group.position.set(0, 0, 0);
+        lighting.setShadowsEnabled(saved.rigShadows);
+        renderer.shadowMap.enabled = saved.shadows;
+        renderer.shadowMap.needsUpdate = true;
+
+        this.saved = null;
+        this.setHint('');
+    }
+
+    // A new model arrived mid-session (e.g. the full asset after its preview)
+    onModelChanged() {
+        if (this.mode !== 'ar' || !this.viewer.model) return;
+        this.placement.clear();
+        this.placement.scale.setScalar(this.viewer.metersPerSceneUnit);
+        this.placement.add(this.viewer.model);
+        if (this.viewer.shadowCatcher) this.placement.add(this.viewer.shadowCatcher);
+    }
+
+    onSelect() {
+        if (!this.reticle.visible) return;
+
+        this.reticle.matrix.decompose(this.placement.position, this.placement.quaternion, new THREE.Vector3());
+        // Keep the model upright; only the position comes from the hit
+        this.placement.quaternion.identity();
+        this.placement.visible = true;
+
+        // The lights follow so the shadow cameras cover the model
+        this.viewer.lighting.group.position.copy(this.placement.position);
+
+        this.setHint('Tap another spot to move it');
+    }
+
+    setHint(text) {
+        const hint = this.overlay.querySelector('.xr-hint');
+        hint.textContent = text;
+        hint.hidden = !text;
+    }
+
+    // Call once per frame with the XRFrame from the animation loop
+    update(frame) {
+        if (this.mode !== 'ar' || !frame) return;
+
+        const { renderer } = this.viewer;
+        const session = renderer.xr.getSession();
+
+        if (!this.hitTestRequested) {
+            this.hitTestRequested = true;
+            session.requestReferenceSpace('viewer')
+                .then(space => session.requestHitTestSource({ space }))
+                .then((source) => {
+                    if (this.session === session) this.hitTestSource = source;
+                    else source.cancel();
+                })
+                .catch((error) => {
+                    console.warn('⚠️ AR hit testing unavailable:', error);
+                    if (this.session !== session) return;
+                    // Asked again a moment later
+                    setTimeout(() => { this.hitTestRequested = false; }, 1000);
+                    this.setHint('Surface detection is not available yet - move the device slowly');
+                });
+            this.setHint('Point at the floor, then tap to place the model');
+        }
+        if (!this.hitTestSource) return;
+
+        const hits = frame.getHitTestResults(this.hitTestSource);
+        const pose = hits.length ? hits[0].getPose(renderer.xr.getReferenceSpace()) : null;
+
+        this.reticle.visible = pose !== null;
+        if (pose) this.reticle.matrix.fromArray(pose.transform.matrix);
+    }
+
+    dispose() {
+        this.end();
+        this.reticle.geometry.dispose();
+        this.reticle.material.dispose();
+    }
+}
@@ -0,0 +1,95 @@
+/**
+ * 🗜️ ZIP
+ * Just enough of the zip format to hand over many files as one download
+ * (e.g. a turntable PNG sequence, which browsers would otherwise block
+ * after the first few downloads). Entries are stored, not deflated: PNGs
+ * are compressed already.
+ */
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time, as zip headers keep them
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+export class ZipWriter {
+    constructor() {
+        this.parts = []; // local headers and file data, in order
+        this.entries = []; // { name, crc, size, offset }
+        this.offset = 0;
+        this.stamp = dosDateTime(new Date());
+    }
+
+    async add(name, blob) {
+        const data = new Uint8Array(await blob.arrayBuffer());
+        const nameBytes = new TextEncoder().encode(name);
+        const entry = { nameBytes, crc: crc32(data), size: data.length, offset: this.offset };
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true); // local file header
+        header.setUint16(4, 20, true); // version needed
+        header.setUint16(6, 0x0800, true); // UTF-8 names
+        header.setUint16(8, 0, true); // stored
+        header.setUint16(10, this.stamp.time, true);
+        header.setUint16(12, this.stamp.date, true);
+        header.setUint32(14, entry.crc, true);
+        header.setUint32(18, entry.size, true);
+        header.setUint32(22, entry.size, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);
+
+        this.parts.push(header, nameBytes, data);
+        this.entries.push(entry);
+        this.offset += 30 + nameBytes.length + data.length;
+    }
+
+    toBlob() {
+        const directory = [];
+        let directorySize = 0;
+        this.entries.forEach(({ nameBytes, crc, size, offset }) => {
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014b50, true); // central directory header
+            header.setUint16(4, 20, true); // made by
+            header.setUint16(6, 20, true); // version needed
+            header.setUint16(8, 0x0800, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, this.stamp.time, true);
+            header.setUint16(14, this.stamp.date, true);
+            header.setUint32(16, crc, true);
+            header.setUint32(20, size, true);
+            header.setUint32(24, size, true);
+            header.setUint16(28, nameBytes.length, true);
+            // extra, comment, disk, attributes: all zero
+            header.setUint32(42, offset, true);
+            directory.push(header, nameBytes);
+            directorySize += 46 + nameBytes.length;
+        });
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // end of central directory
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, this.offset, true);
+
+        return new Blob([...this.parts, ...directory, end], { type: 'application/zip' });
+    }
+}